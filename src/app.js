@@ -1,6 +1,9 @@
 import express from 'express'
 import cookieParser from 'cookie-parser'
 import cors from 'cors'
+import { errorHandler, notFound } from './middlewares/error.middleware.js'
+import { cleanupTempFiles } from './middlewares/multer.middleware.js'
+import { servePublicUploads } from './middlewares/uploads.middleware.js'
 
 
 const app = express()
@@ -12,15 +15,48 @@ app.use(cors({
 
 app.use(express.json({limit: '10mb'}))
 app.use(express.urlencoded({extended: true, limit: '10mb'}))
+// uploaded media, only its images are public
+app.use('/uploads', servePublicUploads)
 app.use(express.static('public'))
 app.use(cookieParser())
+app.use(cleanupTempFiles)
 
 // routes import
 
 import userRouter from './routes/user.routes.js'
+import videoRouter from './routes/video.routes.js'
+import subscriptionRouter from './routes/subscription.routes.js'
+import commentRouter from './routes/comment.routes.js'
+import likeRouter from './routes/like.routes.js'
+import tweetRouter from './routes/tweet.routes.js'
+import playlistRouter from './routes/playlist.routes.js'
+import dashboardRouter from './routes/dashboard.routes.js'
+import adminRouter from './routes/admin.routes.js'
+import reportRouter from './routes/report.routes.js'
+import searchRouter from './routes/search.routes.js'
+import feedRouter from './routes/feed.routes.js'
+import notificationRouter from './routes/notification.routes.js'
+import oauthRouter from './routes/oauth.routes.js'
 
 //routes declaration
 app.use('/api/v1/users', userRouter)
+app.use('/api/v1/videos', videoRouter)
+app.use('/api/v1/subscriptions', subscriptionRouter)
+app.use('/api/v1/comments', commentRouter)
+app.use('/api/v1/likes', likeRouter)
+app.use('/api/v1/tweets', tweetRouter)
+app.use('/api/v1/playlists', playlistRouter)
+app.use('/api/v1/dashboard', dashboardRouter)
+app.use('/api/v1/admin', adminRouter)
+app.use('/api/v1/reports', reportRouter)
+app.use('/api/v1/search', searchRouter)
+app.use('/api/v1/feed', feedRouter)
+app.use('/api/v1/notifications', notificationRouter)
+app.use('/api/v1/oauth', oauthRouter)
+
+// anything that reached here did not match a route
+app.use(notFound)
+app.use(errorHandler)
 
 // http://localhost:5000/api/v1/users/register
 
@@ -1 +1,19 @@
-export const DB_NAME = "major_learning_project"
\ No newline at end of file
+export const DB_NAME = "major_learning_project"
+
+// a user counts as a new view on the same video at most once in this window
+export const VIEW_COUNT_WINDOW_SECONDS = 24 * 60 * 60
+
+// how many videos we keep in User.watchHistory
+export const WATCH_HISTORY_LIMIT = 100
+
+// how long a signed stream url works by default and at most
+export const STREAM_URL_TTL_SECONDS = 60 * 60
+export const STREAM_URL_MAX_TTL_SECONDS = 7 * 24 * 60 * 60
+
+// trending = views of the last days, each day counting half as much as the one after it
+export const TRENDING_WINDOW_DAYS = 7
+export const TRENDING_HALF_LIFE_HOURS = 24
+export const TRENDING_REFRESH_MINUTES = 15
+
+// how many one-time recovery codes a user gets when turning on two-factor login
+export const TWO_FACTOR_RECOVERY_CODE_COUNT = 10
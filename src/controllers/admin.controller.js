@@ -0,0 +1,214 @@
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Session } from "../models/session.model.js";
+import { ModerationLog } from "../models/moderationLog.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { escapeRegex } from "../utils/search.js";
+
+// staff may act on regular users, only admins may act on other staff or on a banned account
+// (banning is admin only, a moderator must not lift or soften it), nobody on themselves
+const findManageableUser = async (userId, staff) => {
+    if (userId === staff._id.toString()) {
+        throw new ApiError(400, "You cannot moderate your own account")
+    }
+    const user = await User.findById(userId).select("-password -refreshToken")
+    if (!user) {
+        throw new ApiError(404, "User does not exist!")
+    }
+    if (user.role !== "user" && staff.role !== "admin") {
+        throw new ApiError(403, "Only admins can moderate staff accounts")
+    }
+    if (user.status === "banned" && staff.role !== "admin") {
+        throw new ApiError(403, "Only admins can change a banned account")
+    }
+    return user
+}
+
+const revokeAllSessions = (userId) => Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "revoked" } }
+)
+
+const getUsers = asyncHandler(async (req, res) => {
+    const { q, role, status } = req.query
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const match = {}
+    if (q?.trim()) {
+        const pattern = new RegExp(escapeRegex(q.trim()), "i")
+        match.$or = [
+            { username: pattern },
+            { email: pattern },
+            { fullname: pattern }
+        ]
+    }
+    if (role) match.role = role
+
+    const users = await paginateAggregate(User, [
+        {
+            $match: match
+        },
+        {
+            // a suspension whose end date passed is over, verifyJWT lets the user in again,
+            // so the listing shows and filters such users as active as well
+            $addFields: {
+                status: {
+                    $cond: [
+                        {
+                            $and: [
+                                { $eq: ["$status", "suspended"] },
+                                { $ne: [{ $ifNull: ["$suspendedUntil", null] }, null] },
+                                { $lte: ["$suspendedUntil", "$$NOW"] }
+                            ]
+                        },
+                        "active",
+                        "$status"
+                    ]
+                }
+            }
+        },
+        ...(status ? [{ $match: { status } }] : []),
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $project: {
+                username: 1,
+                email: 1,
+                fullname: 1,
+                avatar: 1,
+                role: 1,
+                status: 1,
+                suspendedUntil: 1,
+                statusReason: 1,
+                isEmailVerified: 1,
+                createdAt: 1
+            }
+        }
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, users, "Users fetched successfully!"))
+})
+
+const suspendUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { reason, until } = req.body
+    const user = await findManageableUser(userId, req.user)
+
+    user.status = "suspended"
+    user.suspendedUntil = until ? new Date(until) : null
+    user.statusReason = reason
+    await user.save({ validateBeforeSave: false })
+    await revokeAllSessions(user._id)
+    await ModerationLog.record(req.user, "user.suspend", "User", user._id, reason, { until: user.suspendedUntil })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User suspended successfully!"))
+})
+
+const banUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { reason } = req.body
+    const user = await findManageableUser(userId, req.user)
+
+    user.status = "banned"
+    user.suspendedUntil = null
+    user.statusReason = reason
+    await user.save({ validateBeforeSave: false })
+    await revokeAllSessions(user._id)
+    await ModerationLog.record(req.user, "user.ban", "User", user._id, reason)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User banned successfully!"))
+})
+
+const reinstateUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const user = await findManageableUser(userId, req.user)
+
+    user.status = "active"
+    user.suspendedUntil = null
+    user.statusReason = ""
+    await user.save({ validateBeforeSave: false })
+    await ModerationLog.record(req.user, "user.reinstate", "User", user._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User reinstated successfully!"))
+})
+
+const changeUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { role } = req.body
+    const user = await findManageableUser(userId, req.user)
+
+    const previousRole = user.role
+    user.role = role
+    await user.save({ validateBeforeSave: false })
+    await ModerationLog.record(req.user, "user.role", "User", user._id, "", { from: previousRole, to: role })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "User role updated successfully!"))
+})
+
+const forceUnpublishVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { reason } = req.body
+
+    const video = await Video.blockByModeration(videoId, req.user?._id, reason)
+    if (!video) {
+        throw new ApiError(404, "Video not found!")
+    }
+    await ModerationLog.record(req.user, "video.unpublish", "Video", video._id, reason)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video unpublished by moderation!"))
+})
+
+// lifts the block, the owner decides when to publish again
+const restoreVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        {
+            $set: {
+                moderation: {
+                    isBlocked: false,
+                    reason: ""
+                }
+            }
+        },
+        { new: true }
+    )
+    if (!video) {
+        throw new ApiError(404, "Video not found!")
+    }
+    await ModerationLog.record(req.user, "video.restore", "Video", video._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video moderation block lifted!"))
+})
+
+export {
+    getUsers,
+    suspendUser,
+    banUser,
+    reinstateUser,
+    changeUserRole,
+    forceUnpublishVideo,
+    restoreVideo
+}
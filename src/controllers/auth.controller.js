@@ -0,0 +1,110 @@
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { AuthToken } from "../models/authToken.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { sendMail } from "../utils/mail/index.js";
+import { verificationMail, passwordResetMail } from "../utils/mail/templates.js";
+
+const sendVerificationEmail = async (user) => {
+    const token = await AuthToken.issue(
+        user._id,
+        "email-verification",
+        process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY || "1d"
+    )
+    await sendMail(verificationMail(user, token))
+}
+
+// used right after registration, a failing mail server must not fail the signup
+const trySendVerificationEmail = async (user) => {
+    try {
+        await sendVerificationEmail(user)
+    } catch (error) {
+        console.log("Error while sending verification email", error)
+    }
+}
+
+const requestEmailVerification = asyncHandler(async (req, res) => {
+    if (req.user?.isEmailVerified) {
+        throw new ApiError(400, "Email is already verified")
+    }
+
+    await sendVerificationEmail(req.user)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Verification email sent!"))
+})
+
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body
+
+    const userId = await AuthToken.consume(token, "email-verification")
+    if (!userId) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    await User.findByIdAndUpdate(userId, { $set: { isEmailVerified: true } })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Email verified successfully!"))
+})
+
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body
+
+    const user = await User.findOne({ email: email.toLowerCase() })
+    if (user) {
+        // a failing mail server must not give away that the account exists either
+        try {
+            const token = await AuthToken.issue(
+                user._id,
+                "password-reset",
+                process.env.PASSWORD_RESET_TOKEN_EXPIRY || "30m"
+            )
+            await sendMail(passwordResetMail(user, token))
+        } catch (error) {
+            console.log("Error while sending password reset email", error)
+        }
+    }
+
+    // same answer whether the account exists or not, so emails cannot be probed
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "If an account exists for this email a reset link has been sent"))
+})
+
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body
+
+    const userId = await AuthToken.consume(token, "password-reset")
+    const user = userId && await User.findById(userId)
+    if (!user) {
+        throw new ApiError(400, "Reset link is invalid or has expired")
+    }
+
+    user.password = newPassword
+    // the link reached the inbox, so the address is proven as well
+    user.isEmailVerified = true
+    await user.save({ validateBeforeSave: false })
+
+    // whoever knew the old password must not stay logged in
+    await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "password-reset" } }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Password reset successfully, please log in again"))
+})
+
+export {
+    trySendVerificationEmail,
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword
+}
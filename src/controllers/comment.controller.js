@@ -0,0 +1,207 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Comment } from "../models/comment.model.js";
+import { Video, isVideoVisibleTo } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { Notification } from "../models/notification.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+import { notify } from "../utils/notifications/index.js";
+
+// comments can only be read or written on videos the user is allowed to see, the same rule as playback
+const findVisibleVideo = async (videoId, userId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id")
+    }
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus")
+    if (!video || !isVideoVisibleTo(video, userId)) {
+        throw new ApiError(404, "Video not found!")
+    }
+    return video
+}
+
+const findComment = async (commentId) => {
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid comment id")
+    }
+    const comment = await Comment.findById(commentId)
+    if (!comment) {
+        throw new ApiError(404, "Comment not found!")
+    }
+    return comment
+}
+
+// shared by top level comments and replies, newest first with the author attached
+const listComments = (match, { page, limit }) => paginateAggregate(Comment, [
+    {
+        $match: match
+    },
+    {
+        $sort: {
+            createdAt: -1,
+            _id: -1
+        }
+    },
+    ...lookupUserDetails("owner"),
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "parentComment",
+            as: "replies",
+            pipeline: [
+                {
+                    $project: {
+                        _id: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            replyCount: {
+                $size: "$replies"
+            }
+        }
+    },
+    {
+        $project: {
+            replies: 0
+        }
+    }
+], { page, limit })
+
+const getVideoComments = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    await findVisibleVideo(videoId, req.user?._id)
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const comments = await listComments({
+        video: new mongoose.Types.ObjectId(videoId),
+        parentComment: null
+    }, { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, comments, "Comments fetched successfully!"))
+})
+
+const getCommentReplies = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const comment = await findComment(commentId)
+    await findVisibleVideo(comment.video, req.user?._id)
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const replies = await listComments({
+        parentComment: comment._id
+    }, { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, replies, "Replies fetched successfully!"))
+})
+
+const addComment = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { content, parentComment } = req.body
+
+    if (!content || content.trim() === "") {
+        throw new ApiError(400, "Comment content is required")
+    }
+
+    const video = await findVisibleVideo(videoId, req.user?._id)
+
+    let parent = null
+    if (parentComment) {
+        parent = await findComment(parentComment)
+        if (parent.video.toString() !== video._id.toString()) {
+            throw new ApiError(400, "Parent comment belongs to another video")
+        }
+        if (parent.parentComment) {
+            throw new ApiError(400, "Replies to replies are not allowed")
+        }
+    }
+
+    const comment = await Comment.create({
+        content,
+        video: video._id,
+        owner: req.user?._id,
+        parentComment: parentComment || null
+    })
+
+    const notification = {
+        actor: req.user?._id,
+        targetType: "Comment",
+        target: comment._id,
+        video: video._id
+    }
+    if (parent) {
+        await notify({ ...notification, recipient: parent.owner, type: "reply" })
+    }
+    // a video owner whose own comment got the reply already hears about it as a reply
+    if (!parent || parent.owner.toString() !== video.owner.toString()) {
+        await notify({ ...notification, recipient: video.owner, type: "comment" })
+    }
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, comment, "Comment added successfully!"))
+})
+
+const updateComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const { content } = req.body
+
+    if (!content || content.trim() === "") {
+        throw new ApiError(400, "Comment content is required")
+    }
+
+    const comment = await findComment(commentId)
+    if (comment.owner.toString() !== req.user?._id?.toString()) {
+        throw new ApiError(403, "Only the author can edit this comment")
+    }
+
+    comment.content = content
+    await comment.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, comment, "Comment updated successfully!"))
+})
+
+const deleteComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const comment = await findComment(commentId)
+
+    // the author or the owner of the video can remove a comment
+    const isAuthor = comment.owner.toString() === req.user?._id?.toString()
+    const isVideoOwner = await Video.exists({ _id: comment.video, owner: req.user?._id })
+    if (!isAuthor && !isVideoOwner) {
+        throw new ApiError(403, "You are not allowed to delete this comment")
+    }
+
+    const thread = await Comment.find({
+        $or: [
+            { _id: comment._id },
+            { parentComment: comment._id }
+        ]
+    }).distinct("_id")
+    await Comment.deleteMany({ _id: { $in: thread } })
+    await Like.deleteMany({ targetType: "Comment", target: { $in: thread } })
+    await Notification.deleteMany({ target: { $in: thread } })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Comment deleted successfully!"))
+})
+
+export {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    updateComment,
+    deleteComment
+}
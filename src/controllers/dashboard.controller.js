@@ -0,0 +1,223 @@
+import mongoose from "mongoose";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { ViewStat } from "../models/viewStat.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_TIMESERIES_DAYS = 365
+const SORTABLE_FIELDS = ["createdAt", "views", "likesCount", "commentsCount"]
+
+// counts likes and comments of every video in the pipeline
+const videoEngagementStages = [
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "target",
+            as: "likes",
+            pipeline: [
+                {
+                    $match: {
+                        targetType: "Video"
+                    }
+                },
+                {
+                    $project: {
+                        _id: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "video",
+            as: "comments",
+            pipeline: [
+                {
+                    $project: {
+                        _id: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            likesCount: {
+                $size: "$likes"
+            },
+            commentsCount: {
+                $size: "$comments"
+            }
+        }
+    },
+    {
+        $project: {
+            likes: 0,
+            comments: 0
+        }
+    }
+]
+
+const getChannelStats = asyncHandler(async (req, res) => {
+    const channelId = new mongoose.Types.ObjectId(req.user?._id)
+
+    const videoStats = await Video.aggregate([
+        {
+            $match: {
+                owner: channelId
+            }
+        },
+        ...videoEngagementStages,
+        {
+            $group: {
+                _id: null,
+                totalVideos: { $sum: 1 },
+                publishedVideos: { $sum: { $cond: ["$isPublished", 1, 0] } },
+                totalViews: { $sum: "$views" },
+                totalLikes: { $sum: "$likesCount" },
+                totalComments: { $sum: "$commentsCount" }
+            }
+        },
+        {
+            $project: {
+                _id: 0
+            }
+        }
+    ])
+
+    const totalSubscribers = await Subscription.countDocuments({ channel: channelId })
+
+    const stats = {
+        totalVideos: 0,
+        publishedVideos: 0,
+        totalViews: 0,
+        totalLikes: 0,
+        totalComments: 0,
+        ...videoStats[0],
+        totalSubscribers
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, stats, "Channel stats fetched successfully!"))
+})
+
+// every video of the channel, published or not, with its engagement numbers
+const getChannelVideos = asyncHandler(async (req, res) => {
+    const { sortBy = "createdAt", sortType = "desc" } = req.query
+    const { page, limit } = getPaginationOptions(req.query)
+
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+        throw new ApiError(400, `sortBy must be one of ${SORTABLE_FIELDS.join(", ")}`)
+    }
+
+    const videos = await paginateAggregate(Video, [
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(req.user?._id)
+            }
+        },
+        ...videoEngagementStages,
+        {
+            $sort: {
+                [sortBy]: sortType === "asc" ? 1 : -1,
+                _id: -1
+            }
+        }
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Channel videos fetched successfully!"))
+})
+
+// daily subscriber gains and views for the last `days` days, oldest day first
+const getChannelTimeSeries = asyncHandler(async (req, res) => {
+    const days = parseInt(req.query.days, 10) || 30
+    if (days < 1 || days > MAX_TIMESERIES_DAYS) {
+        throw new ApiError(400, `days must be between 1 and ${MAX_TIMESERIES_DAYS}`)
+    }
+
+    const channelId = new mongoose.Types.ObjectId(req.user?._id)
+    const since = new Date()
+    since.setUTCHours(0, 0, 0, 0)
+    since.setTime(since.getTime() - (days - 1) * DAY_MS)
+
+    const subscriberGains = await Subscription.aggregate([
+        {
+            $match: {
+                channel: channelId
+            }
+        },
+        {
+            // subscriptions made before timestamps were stored still carry a date in their _id
+            $addFields: {
+                subscribedAt: {
+                    $ifNull: ["$createdAt", { $toDate: "$_id" }]
+                }
+            }
+        },
+        {
+            $match: {
+                subscribedAt: { $gte: since }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    $dateToString: { format: "%Y-%m-%d", date: "$subscribedAt" }
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ])
+
+    const dailyViews = await ViewStat.aggregate([
+        {
+            $match: {
+                owner: channelId,
+                day: { $gte: since }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    $dateToString: { format: "%Y-%m-%d", date: "$day" }
+                },
+                count: { $sum: "$views" }
+            }
+        }
+    ])
+
+    const subscribersByDay = new Map(subscriberGains.map((item) => [item._id, item.count]))
+    const viewsByDay = new Map(dailyViews.map((item) => [item._id, item.count]))
+
+    // fill the days without any activity with zeros so charts get a continuous series
+    const series = []
+    for (let i = 0; i < days; i++) {
+        const date = new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10)
+        series.push({
+            date,
+            subscribers: subscribersByDay.get(date) || 0,
+            views: viewsByDay.get(date) || 0
+        })
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { days, series }, "Channel time series fetched successfully!"))
+})
+
+export {
+    getChannelStats,
+    getChannelVideos,
+    getChannelTimeSeries
+}
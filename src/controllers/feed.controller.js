@@ -0,0 +1,226 @@
+import { Video, PROCESSED_VIDEO_MATCH } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const SIMILAR_USERS_LIMIT = 50
+const SIMILAR_CHANNELS_LIMIT = 20
+// a channel found through similar viewers counts at most half as much as a subscription
+const SIMILAR_CHANNEL_WEIGHT = 0.5
+
+const feedProjection = {
+    $project: {
+        title: 1,
+        description: 1,
+        thumbnail: 1,
+        duration: 1,
+        views: 1,
+        owner: 1,
+        createdAt: 1,
+        trendingScore: 1
+    }
+}
+
+// watchHistory holds the last WATCH_HISTORY_LIMIT videos, that is what "already watched" means here
+const watchedVideos = (user) => Array.from(user?.watchHistory || [])
+
+// trendingScore is precomputed by the trending job, views break ties while it has not run yet
+const trendingSort = {
+    $sort: {
+        trendingScore: -1,
+        views: -1,
+        _id: -1
+    }
+}
+
+// channels that show up in the histories of users who watched the same videos, weighted by how much they overlap
+const findSimilarChannels = async (user, excludedChannels) => {
+    const history = watchedVideos(user)
+    if (!history.length) return []
+
+    return User.aggregate([
+        {
+            $match: {
+                _id: { $ne: user._id },
+                watchHistory: { $in: history }
+            }
+        },
+        {
+            $project: {
+                watchHistory: 1,
+                overlap: {
+                    $size: {
+                        $setIntersection: ["$watchHistory", history]
+                    }
+                }
+            }
+        },
+        {
+            $sort: {
+                overlap: -1
+            }
+        },
+        {
+            $limit: SIMILAR_USERS_LIMIT
+        },
+        {
+            $unwind: "$watchHistory"
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "watchHistory",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $project: {
+                            owner: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $unwind: "$video"
+        },
+        {
+            $match: {
+                "video.owner": { $nin: excludedChannels }
+            }
+        },
+        {
+            $group: {
+                _id: "$video.owner",
+                weight: { $sum: "$overlap" }
+            }
+        },
+        {
+            $sort: {
+                weight: -1,
+                _id: 1
+            }
+        },
+        {
+            $limit: SIMILAR_CHANNELS_LIMIT
+        }
+    ])
+}
+
+// unseen videos of subscribed channels and of channels similar viewers watch come first,
+// ranked by channel affinity, freshness and how hot they are; everything else follows in trending order
+const getRecommendedVideos = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationOptions(req.query)
+    const user = req.user
+
+    const subscribedChannels = await Subscription.find({ subscriber: user._id }).distinct("channel")
+    const similarChannels = await findSimilarChannels(user, [user._id, ...subscribedChannels])
+    const topWeight = similarChannels[0]?.weight || 1
+
+    // parallel arrays, $indexOfArray finds the channel and $arrayElemAt its affinity
+    const channels = [...subscribedChannels, ...similarChannels.map((channel) => channel._id)]
+    const affinities = [
+        ...subscribedChannels.map(() => 1),
+        ...similarChannels.map((channel) => SIMILAR_CHANNEL_WEIGHT * channel.weight / topWeight)
+    ]
+
+    const videos = await paginateAggregate(Video, [
+        {
+            $match: {
+                isPublished: true,
+                ...PROCESSED_VIDEO_MATCH,
+                owner: { $ne: user._id },
+                _id: { $nin: watchedVideos(user) }
+            }
+        },
+        {
+            $addFields: {
+                affinity: {
+                    $let: {
+                        vars: { index: { $indexOfArray: [channels, "$owner"] } },
+                        in: {
+                            $cond: [{ $gte: ["$$index", 0] }, { $arrayElemAt: [affinities, "$$index"] }, 0]
+                        }
+                    }
+                }
+            }
+        },
+        {
+            $addFields: {
+                reason: {
+                    $switch: {
+                        branches: [
+                            { case: { $gte: ["$affinity", 1] }, then: "subscription" },
+                            { case: { $gt: ["$affinity", 0] }, then: "similar_viewers" }
+                        ],
+                        default: "trending"
+                    }
+                },
+                score: {
+                    $cond: [
+                        { $gt: ["$affinity", 0] },
+                        {
+                            $add: [
+                                "$affinity",
+                                // 1 for something posted now, 0.5 after a week
+                                { $divide: [1, { $add: [1, { $divide: [{ $subtract: ["$$NOW", "$createdAt"] }, 7 * DAY_MS] }] }] },
+                                { $multiply: [{ $log10: { $add: [{ $ifNull: ["$trendingScore", 0] }, 1] } }, 0.3] }
+                            ]
+                        },
+                        0
+                    ]
+                }
+            }
+        },
+        {
+            $sort: {
+                score: -1,
+                trendingScore: -1,
+                views: -1,
+                _id: -1
+            }
+        },
+        ...lookupUserDetails("owner"),
+        {
+            $project: {
+                ...feedProjection.$project,
+                reason: 1,
+                score: 1
+            }
+        }
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Recommended videos fetched successfully!"))
+})
+
+const getTrendingVideos = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const videos = await paginateAggregate(Video, [
+        {
+            $match: {
+                isPublished: true,
+                ...PROCESSED_VIDEO_MATCH,
+                _id: { $nin: watchedVideos(req.user) }
+            }
+        },
+        trendingSort,
+        ...lookupUserDetails("owner"),
+        feedProjection
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Trending videos fetched successfully!"))
+})
+
+export {
+    getRecommendedVideos,
+    getTrendingVideos
+}
@@ -0,0 +1,156 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Like } from "../models/like.model.js";
+import { Video, isVideoVisibleTo } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+import { notify, retractNotification } from "../utils/notifications/index.js";
+
+const likeTargets = {
+    Video,
+    Comment,
+    Tweet
+}
+
+// what toggleLike needs of each target, a comment brings its video for the visibility check
+const likeTargetFields = {
+    Video: "owner isPublished",
+    Comment: "owner video",
+    Tweet: "owner"
+}
+
+// likes the target if it is not liked yet, otherwise removes the like
+const toggleLike = async (targetType, targetId, userId) => {
+    if (!isValidObjectId(targetId)) {
+        throw new ApiError(400, `Invalid ${targetType.toLowerCase()} id`)
+    }
+    const target = await likeTargets[targetType].findById(targetId).select(likeTargetFields[targetType])
+    if (!target) {
+        throw new ApiError(404, `${targetType} not found!`)
+    }
+    // nobody may like, and so notify about, a video they are not allowed to see or a comment on one
+    if (targetType !== "Tweet") {
+        const video = targetType === "Video" ? target : await Video.findById(target.video).select("owner isPublished")
+        if (!video || !isVideoVisibleTo(video, userId)) {
+            throw new ApiError(404, `${targetType} not found!`)
+        }
+    }
+
+    const filter = {
+        target: targetId,
+        targetType,
+        likedBy: userId
+    }
+
+    const removed = await Like.findOneAndDelete(filter)
+    if (removed) {
+        await retractNotification({ actor: userId, type: "like", target: target._id })
+        return { isLiked: false }
+    }
+
+    try {
+        await Like.create(filter)
+    } catch (error) {
+        // the unique index already holds this like from a parallel request
+        if (error?.code !== 11000) throw error
+        return { isLiked: true }
+    }
+
+    await notify({
+        recipient: target.owner,
+        actor: userId,
+        type: "like",
+        targetType,
+        target: target._id,
+        video: targetType === "Video" ? target._id : target.video
+    })
+    return { isLiked: true }
+}
+
+const toggleVideoLike = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const result = await toggleLike("Video", videoId, req.user?._id)
+    return res
+        .status(200)
+        .json(new ApiResponse(200, result, "Video like toggled successfully!"))
+})
+
+const toggleCommentLike = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const result = await toggleLike("Comment", commentId, req.user?._id)
+    return res
+        .status(200)
+        .json(new ApiResponse(200, result, "Comment like toggled successfully!"))
+})
+
+const toggleTweetLike = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+    const result = await toggleLike("Tweet", tweetId, req.user?._id)
+    return res
+        .status(200)
+        .json(new ApiResponse(200, result, "Tweet like toggled successfully!"))
+})
+
+const getLikedVideos = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationOptions(req.query)
+    const userId = new mongoose.Types.ObjectId(req.user?._id)
+
+    const likedVideos = await paginateAggregate(Like, [
+        {
+            $match: {
+                likedBy: userId,
+                targetType: "Video"
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "target",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $match: {
+                            $or: [
+                                { isPublished: true },
+                                { owner: userId }
+                            ]
+                        }
+                    },
+                    ...lookupUserDetails("owner")
+                ]
+            }
+        },
+        {
+            $unwind: "$video"
+        },
+        {
+            $project: {
+                _id: 0,
+                likedAt: "$createdAt",
+                video: 1
+            }
+        }
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, likedVideos, "Liked videos fetched successfully!"))
+})
+
+export {
+    toggleVideoLike,
+    toggleCommentLike,
+    toggleTweetLike,
+    getLikedVideos
+}
@@ -0,0 +1,240 @@
+import mongoose from "mongoose";
+import { Notification, NOTIFICATION_TYPES } from "../models/notification.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+import { getNotificationBus } from "../utils/notifications/index.js";
+
+const HEARTBEAT_MS = 25 * 1000
+const RECONNECT_MS = 5000
+// how many missed notifications a reconnecting stream gets
+const REPLAY_LIMIT = 50
+
+// who did it and on which video, enough for the client to render the notification
+const notificationDetailStages = [
+    ...lookupUserDetails("actor"),
+    {
+        $lookup: {
+            from: "videos",
+            localField: "video",
+            foreignField: "_id",
+            as: "video",
+            pipeline: [
+                {
+                    $project: {
+                        title: 1,
+                        thumbnail: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            video: {
+                $first: "$video"
+            }
+        }
+    }
+]
+
+const countUnread = (userId) => Notification.countDocuments({ recipient: userId, readAt: null })
+
+const getNotifications = asyncHandler(async (req, res) => {
+    const { unread } = req.query
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const match = { recipient: new mongoose.Types.ObjectId(req.user?._id) }
+    if (unread === "true") match.readAt = null
+
+    const notifications = await paginateAggregate(Notification, [
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                _id: -1
+            }
+        },
+        ...notificationDetailStages
+    ], { page, limit })
+
+    const unreadCount = await countUnread(req.user?._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { ...notifications, unreadCount }, "Notifications fetched successfully!"))
+})
+
+const getUnreadCount = asyncHandler(async (req, res) => {
+    const unreadCount = await countUnread(req.user?._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { unreadCount }, "Unread count fetched successfully!"))
+})
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params
+
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, recipient: req.user?._id },
+        [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+        { new: true }
+    )
+    if (!notification) {
+        throw new ApiError(404, "Notification not found!")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, notification, "Notification marked as read!"))
+})
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+        { recipient: req.user?._id, readAt: null },
+        { $set: { readAt: new Date() } }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { marked: result.modifiedCount }, "All notifications marked as read!"))
+})
+
+// { video: true, comment: false, ... }, false means muted
+const toPreferences = (mutedTypes = []) =>
+    Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, !mutedTypes.includes(type)]))
+
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(200, toPreferences(req.user?.mutedNotificationTypes), "Notification preferences fetched successfully!"))
+})
+
+// only the types sent in the body change, the others keep their setting
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+    const changes = NOTIFICATION_TYPES.filter((type) => req.body?.[type] !== undefined)
+    if (!changes.length) {
+        throw new ApiError(400, "Nothing to update")
+    }
+
+    const mute = changes.filter((type) => String(req.body[type]) === "false")
+    const unmute = changes.filter((type) => String(req.body[type]) === "true")
+
+    const user = await User.findByIdAndUpdate(
+        req.user?._id,
+        [
+            {
+                $set: {
+                    mutedNotificationTypes: {
+                        $setUnion: [
+                            { $setDifference: [{ $ifNull: ["$mutedNotificationTypes", []] }, unmute] },
+                            mute
+                        ]
+                    }
+                }
+            }
+        ],
+        { new: true }
+    ).select("mutedNotificationTypes")
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, toPreferences(user?.mutedNotificationTypes), "Notification preferences updated successfully!"))
+})
+
+// GET /notifications/stream, server-sent events
+//   event: ready          once, with the unread count
+//   event: notification   every new notification, its id is the notification id
+// a reconnecting EventSource sends Last-Event-ID and gets what it missed in between
+const streamNotifications = asyncHandler(async (req, res) => {
+    const userId = req.user._id
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId
+
+    res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // keeps nginx from buffering the stream
+        "X-Accel-Buffering": "no"
+    })
+    res.flushHeaders()
+    res.write(`retry: ${RECONNECT_MS}\n\n`)
+
+    const send = (event, data, id) => {
+        res.write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+
+    const findWithDetails = (match, limit) => Notification.aggregate([
+        {
+            $match: {
+                recipient: userId,
+                ...match
+            }
+        },
+        {
+            $sort: {
+                _id: 1
+            }
+        },
+        {
+            $limit: limit
+        },
+        ...notificationDetailStages
+    ])
+
+    const deliver = async (notification) => {
+        const [withDetails] = await findWithDetails({ _id: notification._id }, 1)
+        if (withDetails) send("notification", withDetails, withDetails._id)
+    }
+
+    // listen before replaying so nothing slips through in between, live ones wait until the replay is out
+    let pending = []
+    const unsubscribe = getNotificationBus().subscribe(userId, (notification) => {
+        if (pending) return pending.push(notification)
+        deliver(notification).catch((error) => console.log("Error while streaming notification", error))
+    })
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS)
+
+    res.on("close", () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+    })
+
+    try {
+        send("ready", { unreadCount: await countUnread(userId) })
+
+        const replayed = new Set()
+        if (mongoose.isValidObjectId(lastEventId)) {
+            const missed = await findWithDetails({ _id: { $gt: new mongoose.Types.ObjectId(lastEventId) } }, REPLAY_LIMIT)
+            missed.forEach((notification) => {
+                replayed.add(notification._id.toString())
+                send("notification", notification, notification._id)
+            })
+        }
+
+        const queued = pending
+        pending = null
+        for (const notification of queued) {
+            if (!replayed.has(notification._id.toString())) await deliver(notification)
+        }
+    } catch (error) {
+        // headers are gone already, the client reconnects and catches up with Last-Event-ID
+        console.log("Error while starting notification stream", error)
+        res.end()
+    }
+})
+
+export {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    streamNotifications
+}
@@ -0,0 +1,241 @@
+import crypto from "crypto";
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { OAuthState } from "../models/oauthState.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { hashToken, generateRandomToken } from "../utils/tokens.js";
+import { getProviderNames, getProviderConfig, createPkcePair, buildAuthorizationUrl, exchangeCode, fetchIdentity } from "../utils/oauth.js";
+import { generateAccessAndRefreshToken, getSessionDetails } from "./user.controller.js";
+import { issueTwoFactorChallenge, setChallengeCookie } from "./twoFactor.controller.js";
+
+const STATE_TTL_MS = 10 * 60 * 1000
+const STATE_COOKIE = "oauthState"
+// lax so the cookie comes back on the provider's redirect to the callback
+const stateCookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "lax",
+    path: "/api/v1/oauth"
+}
+
+const clientUrl = () => (process.env.CLIENT_URL || process.env.CORS_ORIGIN || "http://localhost:3000").replace(/\/$/, "")
+
+const findProvider = (name) => {
+    const provider = getProviderConfig(name?.toLowerCase())
+    if (!provider) {
+        throw new ApiError(404, "Unknown login provider")
+    }
+    return provider
+}
+
+// has to be registered at the provider exactly like this
+const getRedirectUri = (req, provider) => {
+    const baseUrl = process.env.OAUTH_REDIRECT_BASE_URL || process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`
+    return `${baseUrl.replace(/\/$/, "")}/api/v1/oauth/${provider.name}/callback`
+}
+
+// usernames follow the same rules as at signup: 3-30 of letters, numbers, _ or .
+const generateUsername = async ({ username, email, name }) => {
+    const base = (username || email?.split("@")[0] || name || "")
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[^a-z0-9_.]/g, "")
+        .slice(0, 24)
+        .padEnd(3, "_")
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const candidate = attempt === 0 ? base : `${base}${crypto.randomInt(10, 100000)}`
+        if (!await User.exists({ username: candidate })) return candidate
+    }
+    return `${base}${generateRandomToken(3)}`
+}
+
+// a known identity logs in, a verified email links to the account that has it, anybody else gets a new account
+const findOrCreateOAuthUser = async (provider, identity) => {
+    const linkedUser = await User.findOne({
+        oauthAccounts: { $elemMatch: { provider: provider.name, subject: identity.subject } }
+    })
+    if (linkedUser) return { user: linkedUser, isNewUser: false }
+
+    if (!identity.email) {
+        throw new ApiError(400, `${provider.label} did not share an email address`)
+    }
+    const account = {
+        provider: provider.name,
+        subject: identity.subject,
+        email: identity.email
+    }
+
+    const existingUser = await User.findOne({ email: identity.email })
+    if (existingUser) {
+        // only an address the provider checked proves that this is the owner of the account
+        if (!identity.emailVerified) {
+            throw new ApiError(409, "An account with this email already exists, log in with your password")
+        }
+        const update = {
+            $push: { oauthAccounts: account },
+            $set: { isEmailVerified: true }
+        }
+        // nobody ever proved owning the address this account was registered with,
+        // so whoever chose its password may not be the owner: the password and its sessions go
+        if (!existingUser.isEmailVerified) {
+            update.$unset = { password: 1 }
+            await Session.updateMany(
+                { user: existingUser._id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: "revoked" } }
+            )
+        }
+        const user = await User.findByIdAndUpdate(existingUser._id, update, { new: true })
+        return { user, isNewUser: false }
+    }
+
+    const username = await generateUsername(identity)
+    const user = await User.create({
+        username,
+        email: identity.email,
+        fullname: identity.name || username,
+        avatar: identity.picture || "",
+        isEmailVerified: identity.emailVerified,
+        oauthAccounts: [account]
+    })
+    return { user, isNewUser: true }
+}
+
+const getOAuthProviders = asyncHandler(async (req, res) => {
+    const providers = getProviderNames().map((name) => {
+        const { label } = getProviderConfig(name)
+        return { name, label, authorizeUrl: `/api/v1/oauth/${name}/authorize` }
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, providers, "Login providers fetched successfully!"))
+})
+
+// GET /oauth/:provider/authorize?redirectTo=/path, sends the browser to the provider
+const startOAuthLogin = asyncHandler(async (req, res) => {
+    const provider = findProvider(req.params.provider)
+
+    const state = generateRandomToken()
+    const nonce = generateRandomToken(16)
+    const { codeVerifier, codeChallenge } = createPkcePair()
+
+    const authorizationUrl = await buildAuthorizationUrl(provider, {
+        state,
+        nonce,
+        codeChallenge,
+        redirectUri: getRedirectUri(req, provider)
+    })
+
+    await OAuthState.create({
+        stateHash: hashToken(state),
+        provider: provider.name,
+        codeVerifier,
+        nonce,
+        redirectTo: req.query.redirectTo || "",
+        expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    })
+
+    return res
+        .cookie(STATE_COOKIE, state, { ...stateCookieOptions, maxAge: STATE_TTL_MS })
+        .redirect(302, authorizationUrl)
+})
+
+// GET /oauth/:provider/callback?code=&state=, where the provider sends the browser back
+const handleOAuthCallback = asyncHandler(async (req, res) => {
+    const provider = findProvider(req.params.provider)
+    const { code, state, error, error_description } = req.query
+
+    res.clearCookie(STATE_COOKIE, stateCookieOptions)
+
+    if (error) {
+        throw new ApiError(400, `Login was not completed: ${error_description || error}`)
+    }
+    // the state has to come back to the same browser that started the login, otherwise
+    // someone could slip their own code into another person's browser
+    if (!state || state !== req.cookies?.[STATE_COOKIE]) {
+        throw new ApiError(400, "Login state does not match, please start again")
+    }
+
+    const pendingLogin = await OAuthState.findOneAndDelete({
+        stateHash: hashToken(state),
+        provider: provider.name,
+        expiresAt: { $gt: new Date() }
+    })
+    if (!pendingLogin) {
+        throw new ApiError(400, "Login has expired, please start again")
+    }
+    if (!code) {
+        throw new ApiError(400, "Authorization code is missing")
+    }
+
+    const tokens = await exchangeCode(provider, {
+        code,
+        codeVerifier: pendingLogin.codeVerifier,
+        redirectUri: getRedirectUri(req, provider)
+    })
+    const identity = await fetchIdentity(provider, tokens, pendingLogin.nonce)
+    const { user, isNewUser } = await findOrCreateOAuthUser(provider, identity)
+
+    // a lock from wrong passwords or codes holds for every way in, a social login must not lift it early
+    if (user.isLocked()) {
+        const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(423, `Account is locked after too many failed logins, try again in ${retryAfter} seconds`)
+    }
+
+    // the provider replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+        const challenge = await issueTwoFactorChallenge(user)
+        // the client asks for the code and posts it to /users/login/2fa, the challenge is in a cookie
+        if (pendingLogin.redirectTo) {
+            setChallengeCookie(res, challenge)
+            const params = new URLSearchParams({ redirectTo: pendingLogin.redirectTo })
+            return res.redirect(302, `${clientUrl()}/login/two-factor?${params}`)
+        }
+        return res
+            .status(200)
+            .json(new ApiResponse(200, challenge, "Two-factor code required"))
+    }
+
+    await user.resetLoginAttempts()
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, getSessionDetails(req))
+
+    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+    res
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+
+    // a browser login goes back to the app, the cookies are set by now
+    if (pendingLogin.redirectTo) {
+        return res.redirect(302, `${clientUrl()}${pendingLogin.redirectTo}`)
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    user: loggedInUser, accessToken,
+                    refreshToken,
+                    isNewUser
+                },
+                "user logged in successfully !"
+            )
+        )
+})
+
+export {
+    getOAuthProviders,
+    startOAuthLogin,
+    handleOAuthCallback
+}
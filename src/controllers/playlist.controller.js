@@ -0,0 +1,275 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Playlist } from "../models/playlist.model.js";
+import { Video, isVideoVisibleTo } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+
+const findOwnedPlaylist = async (playlistId, userId) => {
+    if (!isValidObjectId(playlistId)) {
+        throw new ApiError(400, "Invalid playlist id")
+    }
+    const playlist = await Playlist.findById(playlistId)
+    if (!playlist) {
+        throw new ApiError(404, "Playlist not found!")
+    }
+    if (playlist.owner.toString() !== userId?.toString()) {
+        throw new ApiError(403, "You are not allowed to modify this playlist")
+    }
+    return playlist
+}
+
+const createPlaylist = asyncHandler(async (req, res) => {
+    const { name, description, isPrivate } = req.body
+    if (!name || name.trim() === "") {
+        throw new ApiError(400, "Playlist name is required")
+    }
+
+    const playlist = await Playlist.create({
+        name,
+        description: description || "",
+        isPrivate: String(isPrivate) === "true",
+        owner: req.user?._id
+    })
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, playlist, "Playlist created successfully!"))
+})
+
+const getUserPlaylists = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user id")
+    }
+    const user = await User.exists({ _id: userId })
+    if (!user) {
+        throw new ApiError(404, "User does not exist!")
+    }
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const match = {
+        owner: new mongoose.Types.ObjectId(userId)
+    }
+    if (userId !== req.user?._id?.toString()) {
+        match.isPrivate = false
+    }
+
+    const playlists = await paginateAggregate(Playlist, [
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                updatedAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $addFields: {
+                totalVideos: {
+                    $size: "$videos"
+                }
+            }
+        },
+        {
+            $project: {
+                videos: 0
+            }
+        }
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlists, "User playlists fetched successfully!"))
+})
+
+const getPlaylistById = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+    if (!isValidObjectId(playlistId)) {
+        throw new ApiError(400, "Invalid playlist id")
+    }
+    const userId = new mongoose.Types.ObjectId(req.user?._id)
+
+    const playlist = await Playlist.aggregate([
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(playlistId)
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "videos",
+                foreignField: "_id",
+                as: "videoDocs",
+                pipeline: [
+                    {
+                        $match: {
+                            $or: [
+                                { isPublished: true },
+                                { owner: userId }
+                            ]
+                        }
+                    },
+                    ...lookupUserDetails("owner")
+                ]
+            }
+        },
+        {
+            // $lookup does not keep the array order, put the videos back in playlist order
+            $addFields: {
+                videos: {
+                    $filter: {
+                        input: {
+                            $map: {
+                                input: "$videos",
+                                as: "videoId",
+                                in: {
+                                    $first: {
+                                        $filter: {
+                                            input: "$videoDocs",
+                                            cond: { $eq: ["$$this._id", "$$videoId"] }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        cond: { $ne: ["$$this", null] }
+                    }
+                }
+            }
+        },
+        ...lookupUserDetails("owner"),
+        {
+            $project: {
+                videoDocs: 0
+            }
+        }
+    ])
+
+    // private playlists behave as if they do not exist for everyone but the owner
+    const isOwner = playlist?.[0]?.owner?._id?.toString() === req.user?._id?.toString()
+    if (!playlist?.length || (playlist[0].isPrivate && !isOwner)) {
+        throw new ApiError(404, "Playlist not found!")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlist[0], "Playlist fetched successfully!"))
+})
+
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id")
+    }
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+
+    const video = await Video.findById(videoId).select("owner isPublished")
+    if (!video || !isVideoVisibleTo(video, req.user?._id)) {
+        throw new ApiError(404, "Video not found!")
+    }
+
+    const updatedPlaylist = await Playlist.findByIdAndUpdate(
+        playlist._id,
+        {
+            $addToSet: {
+                videos: video._id
+            }
+        },
+        { new: true }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedPlaylist, "Video added to playlist successfully!"))
+})
+
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id")
+    }
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+
+    const updatedPlaylist = await Playlist.findByIdAndUpdate(
+        playlist._id,
+        {
+            $pull: {
+                videos: new mongoose.Types.ObjectId(videoId)
+            }
+        },
+        { new: true }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, updatedPlaylist, "Video removed from playlist successfully!"))
+})
+
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+    const position = Number(req.body.position)
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+
+    const currentIndex = playlist.videos.findIndex((id) => id.toString() === videoId)
+    if (currentIndex === -1) {
+        throw new ApiError(404, "Video is not in this playlist")
+    }
+    if (!Number.isInteger(position) || position < 0 || position >= playlist.videos.length) {
+        throw new ApiError(400, `position must be between 0 and ${playlist.videos.length - 1}`)
+    }
+
+    const [moved] = playlist.videos.splice(currentIndex, 1)
+    playlist.videos.splice(position, 0, moved)
+    await playlist.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlist, "Video moved successfully!"))
+})
+
+const updatePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+    const { name, description, isPrivate } = req.body
+
+    if (!name && description === undefined && isPrivate === undefined) {
+        throw new ApiError(400, "Nothing to update")
+    }
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+    if (name?.trim()) playlist.name = name
+    if (description !== undefined) playlist.description = description
+    if (isPrivate !== undefined) playlist.isPrivate = String(isPrivate) === "true"
+    await playlist.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, playlist, "Playlist updated successfully!"))
+})
+
+const deletePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+
+    await Playlist.findByIdAndDelete(playlist._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Playlist deleted successfully!"))
+})
+
+export {
+    createPlaylist,
+    getUserPlaylists,
+    getPlaylistById,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    moveVideoInPlaylist,
+    updatePlaylist,
+    deletePlaylist
+}
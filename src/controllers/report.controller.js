@@ -0,0 +1,220 @@
+import mongoose from "mongoose";
+import { Report } from "../models/report.model.js";
+import { ModerationLog } from "../models/moderationLog.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+
+const reportTargets = {
+    Video,
+    Comment,
+    User
+}
+
+const submitReport = asyncHandler(async (req, res) => {
+    const { targetType, targetId, reason, details } = req.body
+
+    const target = await reportTargets[targetType].exists({ _id: targetId })
+    if (!target) {
+        throw new ApiError(404, `${targetType === "User" ? "Channel" : targetType} not found!`)
+    }
+
+    try {
+        const report = await Report.create({
+            targetType,
+            target: targetId,
+            reason,
+            details: details || "",
+            reporter: req.user?._id
+        })
+        return res
+            .status(201)
+            .json(new ApiResponse(201, report, "Report submitted successfully!"))
+    } catch (error) {
+        if (error?.code === 11000) {
+            throw new ApiError(409, "You have already reported this")
+        }
+        throw error
+    }
+})
+
+// moderator queue, oldest open reports first so nothing waits forever
+const getReports = asyncHandler(async (req, res) => {
+    const { status = "open", targetType, reason } = req.query
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const match = { status }
+    if (targetType) match.targetType = targetType
+    if (reason) match.reason = reason
+
+    const reports = await paginateAggregate(Report, [
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: status === "open" ? 1 : -1,
+                _id: 1
+            }
+        },
+        ...lookupUserDetails("reporter"),
+        ...lookupUserDetails("handledBy"),
+        {
+            // how many people flagged the same target, helps to triage
+            $lookup: {
+                from: "reports",
+                let: { target: "$target", targetType: "$targetType" },
+                as: "sameTarget",
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $eq: ["$target", "$$target"] },
+                                    { $eq: ["$targetType", "$$targetType"] }
+                                ]
+                            }
+                        }
+                    },
+                    {
+                        $project: {
+                            _id: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                reportsOnTarget: {
+                    $size: "$sameTarget"
+                }
+            }
+        },
+        {
+            $project: {
+                sameTarget: 0
+            }
+        }
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, reports, "Reports fetched successfully!"))
+})
+
+const findOpenReport = async (reportId) => {
+    const report = await Report.findById(reportId)
+    if (!report) {
+        throw new ApiError(404, "Report not found!")
+    }
+    if (report.status !== "open") {
+        throw new ApiError(409, `Report is already ${report.status}`)
+    }
+    return report
+}
+
+// closes this report and every other open report on the same target
+const closeReports = (report, status, staff, note) => Report.updateMany(
+    {
+        target: report.target,
+        targetType: report.targetType,
+        status: "open"
+    },
+    {
+        $set: {
+            status,
+            handledBy: staff._id,
+            handledAt: new Date(),
+            resolutionNote: note || ""
+        }
+    }
+)
+
+const resolveReport = asyncHandler(async (req, res) => {
+    const { reportId } = req.params
+    const { note, unpublish } = req.body
+    const report = await findOpenReport(reportId)
+
+    const shouldUnpublish = String(unpublish) === "true"
+    if (shouldUnpublish) {
+        if (report.targetType !== "Video") {
+            throw new ApiError(400, "Only reported videos can be unpublished")
+        }
+        const video = await Video.blockByModeration(report.target, req.user?._id, note || report.reason)
+        if (video) {
+            await ModerationLog.record(req.user, "video.unpublish", "Video", video._id, note || report.reason, {
+                report: report._id
+            })
+        }
+    }
+
+    const result = await closeReports(report, "resolved", req.user, note)
+    await ModerationLog.record(req.user, "report.resolve", "Report", report._id, note, {
+        targetType: report.targetType,
+        target: report.target,
+        unpublished: shouldUnpublish,
+        reportsClosed: result.modifiedCount
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { reportsClosed: result.modifiedCount, unpublished: shouldUnpublish }, "Report resolved successfully!"))
+})
+
+const dismissReport = asyncHandler(async (req, res) => {
+    const { reportId } = req.params
+    const { note } = req.body
+    const report = await findOpenReport(reportId)
+
+    const result = await closeReports(report, "dismissed", req.user, note)
+    await ModerationLog.record(req.user, "report.dismiss", "Report", report._id, note, {
+        targetType: report.targetType,
+        target: report.target,
+        reportsClosed: result.modifiedCount
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { reportsClosed: result.modifiedCount }, "Report dismissed successfully!"))
+})
+
+const getModerationLog = asyncHandler(async (req, res) => {
+    const { actor, action, targetId } = req.query
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const match = {}
+    if (actor) match.actor = new mongoose.Types.ObjectId(actor)
+    if (action) match.action = action
+    if (targetId) match.target = new mongoose.Types.ObjectId(targetId)
+
+    const entries = await paginateAggregate(ModerationLog, [
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupUserDetails("actor")
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, entries, "Moderation log fetched successfully!"))
+})
+
+export {
+    submitReport,
+    getReports,
+    resolveReport,
+    dismissReport,
+    getModerationLog
+}
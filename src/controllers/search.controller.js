@@ -0,0 +1,226 @@
+import { Video, PROCESSED_VIDEO_MATCH } from "../models/video.model.js";
+import { User, notSuspendedUserMatch } from "../models/user.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+import { fuzzyRegex, prefixRegex } from "../utils/search.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const SUGGESTION_LIMIT = 10
+// fuzzy matches have no text score, they rank below any real text match
+const FUZZY_RELEVANCE = 0.5
+
+// ranking = text relevance blended with popularity (log of views/subscribers) and freshness
+const scoreStage = ({ popularity, recency }) => ({
+    $addFields: {
+        score: {
+            $add: [
+                { $multiply: ["$relevance", 2] },
+                popularity ? { $multiply: [{ $log10: { $add: [{ $ifNull: [popularity, 0] }, 1] } }, 0.5] } : 0,
+                // 1 for something posted now, 0.5 after a month, slowly towards 0
+                recency
+                    ? { $divide: [1, { $add: [1, { $divide: [{ $subtract: ["$$NOW", recency] }, 30 * DAY_MS] }] }] }
+                    : 0
+            ]
+        }
+    }
+})
+
+const sortByScore = {
+    $sort: {
+        score: -1,
+        _id: -1
+    }
+}
+
+// tries the text index first and falls back to the typo tolerant regex when nothing matched
+const searchCollection = async (Model, { q, match, fuzzyFields, rankStages, page, limit }) => {
+    const textResults = await paginateAggregate(Model, [
+        {
+            $match: {
+                $text: { $search: q },
+                ...match
+            }
+        },
+        {
+            $addFields: {
+                relevance: { $meta: "textScore" }
+            }
+        },
+        ...rankStages
+    ], { page, limit })
+
+    if (textResults.totalDocs > 0) return textResults
+
+    const pattern = fuzzyRegex(q)
+    return paginateAggregate(Model, [
+        {
+            $match: {
+                ...match,
+                $or: fuzzyFields.map((field) => ({ [field]: pattern }))
+            }
+        },
+        {
+            $addFields: {
+                relevance: FUZZY_RELEVANCE
+            }
+        },
+        ...rankStages
+    ], { page, limit })
+}
+
+const searchVideos = (q, options) => searchCollection(Video, {
+    q,
+    ...options,
+    match: { isPublished: true, ...PROCESSED_VIDEO_MATCH },
+    fuzzyFields: ["title", "description"],
+    rankStages: [
+        scoreStage({ popularity: "$views", recency: "$createdAt" }),
+        sortByScore,
+        ...lookupUserDetails("owner"),
+        {
+            $project: {
+                title: 1,
+                description: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                owner: 1,
+                createdAt: 1,
+                score: 1
+            }
+        }
+    ]
+})
+
+const searchChannels = (q, options) => searchCollection(User, {
+    q,
+    ...options,
+    match: notSuspendedUserMatch(),
+    fuzzyFields: ["username", "fullname"],
+    rankStages: [
+        {
+            $lookup: {
+                from: "subscriptions",
+                localField: "_id",
+                foreignField: "channel",
+                as: "subscribers",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                subscriberCount: {
+                    $size: "$subscribers"
+                }
+            }
+        },
+        scoreStage({ popularity: "$subscriberCount" }),
+        sortByScore,
+        {
+            $project: {
+                username: 1,
+                fullname: 1,
+                avatar: 1,
+                subscriberCount: 1,
+                score: 1
+            }
+        }
+    ]
+})
+
+const searchTweets = (q, options) => searchCollection(Tweet, {
+    q,
+    ...options,
+    match: {},
+    fuzzyFields: ["content"],
+    rankStages: [
+        scoreStage({ recency: "$createdAt" }),
+        sortByScore,
+        ...lookupUserDetails("owner")
+    ]
+})
+
+const searchers = {
+    video: searchVideos,
+    channel: searchChannels,
+    tweet: searchTweets
+}
+
+// GET /search?q=&type=video|channel|tweet|all
+// a single type is paginated, "all" returns the requested page of every type side by side
+const search = asyncHandler(async (req, res) => {
+    const { q, type = "all" } = req.query
+    const { page, limit } = getPaginationOptions(req.query)
+    const query = q.trim()
+
+    if (type !== "all") {
+        const results = await searchers[type](query, { page, limit })
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { type, ...results }, "Search results fetched successfully!"))
+    }
+
+    const [videos, channels, tweets] = await Promise.all([
+        searchVideos(query, { page, limit }),
+        searchChannels(query, { page, limit }),
+        searchTweets(query, { page, limit })
+    ])
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { type, videos, channels, tweets }, "Search results fetched successfully!"))
+})
+
+// prefix autocomplete over video titles and channel names
+const getSuggestions = asyncHandler(async (req, res) => {
+    const query = req.query.q.trim()
+    const pattern = prefixRegex(query)
+
+    const [videos, channels] = await Promise.all([
+        Video.find({ isPublished: true, ...PROCESSED_VIDEO_MATCH, title: pattern })
+            .select("title")
+            .sort({ views: -1 })
+            .limit(SUGGESTION_LIMIT)
+            .lean(),
+        User.find({
+            ...notSuspendedUserMatch(),
+            // usernames are stored lowercase, a case sensitive prefix can use the index
+            $or: [
+                { username: prefixRegex(query.toLowerCase(), "") },
+                { fullname: pattern }
+            ]
+        })
+            .select("username fullname avatar")
+            .limit(SUGGESTION_LIMIT)
+            .lean()
+    ])
+
+    const seen = new Set()
+    const suggestions = [
+        ...channels.map((channel) => ({ type: "channel", text: channel.username, channel })),
+        ...videos.map((video) => ({ type: "video", text: video.title, videoId: video._id }))
+    ].filter((suggestion) => {
+        const key = `${suggestion.type}:${suggestion.text.toLowerCase()}`
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+    }).slice(0, SUGGESTION_LIMIT)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, suggestions, "Suggestions fetched successfully!"))
+})
+
+export {
+    search,
+    getSuggestions
+}
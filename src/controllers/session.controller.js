@@ -0,0 +1,69 @@
+import { isValidObjectId } from "mongoose";
+import { Session } from "../models/session.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// active devices of the logged in user, the one making the request is flagged
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user?._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .select("userAgent ip lastUsedAt createdAt expiresAt")
+        .sort({ lastUsedAt: -1 })
+        .lean()
+
+    const data = sessions.map((session) => ({
+        ...session,
+        isCurrent: session._id.toString() === req.sessionId?.toString()
+    }))
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, data, "Sessions fetched successfully!"))
+})
+
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+    if (!isValidObjectId(sessionId)) {
+        throw new ApiError(400, "Invalid session id")
+    }
+
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, user: req.user?._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "revoked" } },
+        { new: true }
+    )
+    if (!session) {
+        throw new ApiError(404, "Session not found!")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Session revoked successfully!"))
+})
+
+const logoutAllSessions = asyncHandler(async (req, res) => {
+    await Session.updateMany(
+        { user: req.user?._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "logout-all" } }
+    )
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+    return res
+        .status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(new ApiResponse(200, {}, "Logged out from all devices"))
+})
+
+export {
+    getSessions,
+    revokeSession,
+    logoutAllSessions
+}
@@ -0,0 +1,130 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Subscription } from "../models/subscription.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+import { notify, retractNotification } from "../utils/notifications/index.js";
+
+const toggleSubscription = asyncHandler(async (req, res) => {
+    const { channelId } = req.params
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "Invalid channel id")
+    }
+    if (channelId === req.user?._id?.toString()) {
+        throw new ApiError(400, "You cannot subscribe to your own channel")
+    }
+
+    const channel = await User.exists({ _id: channelId })
+    if (!channel) {
+        throw new ApiError(404, "Channel does not exist!")
+    }
+
+    const removed = await Subscription.findOneAndDelete({
+        subscriber: req.user?._id,
+        channel: channelId
+    })
+    if (removed) {
+        await retractNotification({ actor: req.user?._id, type: "subscribe", target: channel._id })
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { isSubscribed: false }, "Unsubscribed successfully!"))
+    }
+
+    try {
+        await Subscription.create({
+            subscriber: req.user?._id,
+            channel: channelId
+        })
+        await notify({
+            recipient: channel._id,
+            actor: req.user?._id,
+            type: "subscribe",
+            targetType: "User",
+            target: channel._id
+        })
+    } catch (error) {
+        // a parallel request already created it, the unique index stopped the duplicate
+        if (error?.code !== 11000) throw error
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully!"))
+})
+
+// controller to return subscriber list of a channel
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+    const { channelId } = req.params
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "Invalid channel id")
+    }
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const subscribers = await paginateAggregate(Subscription, [
+        {
+            $match: {
+                channel: new mongoose.Types.ObjectId(channelId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupUserDetails("subscriber"),
+        {
+            $project: {
+                subscriber: 1,
+                createdAt: 1
+            }
+        }
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, subscribers, "Subscribers fetched successfully!"))
+})
+
+// controller to return channel list to which user has subscribed
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+    const { subscriberId } = req.params
+    if (!isValidObjectId(subscriberId)) {
+        throw new ApiError(400, "Invalid subscriber id")
+    }
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const channels = await paginateAggregate(Subscription, [
+        {
+            $match: {
+                subscriber: new mongoose.Types.ObjectId(subscriberId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupUserDetails("channel"),
+        {
+            $project: {
+                channel: 1,
+                createdAt: 1
+            }
+        }
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, channels, "Subscribed channels fetched successfully!"))
+})
+
+export {
+    toggleSubscription,
+    getUserChannelSubscribers,
+    getSubscribedChannels
+}
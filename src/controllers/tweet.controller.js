@@ -0,0 +1,204 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Tweet } from "../models/tweet.model.js";
+import { User } from "../models/user.model.js";
+import { Like } from "../models/like.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Notification } from "../models/notification.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions, paginateAggregate, encodeCursor, cursorMatch } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+
+const MAX_TWEET_LENGTH = 280
+
+// owner profile, like count and whether the requester liked the tweet
+const tweetDetailsStages = (userId) => [
+    ...lookupUserDetails("owner"),
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "target",
+            as: "likes",
+            pipeline: [
+                {
+                    $match: {
+                        targetType: "Tweet"
+                    }
+                },
+                {
+                    $project: {
+                        likedBy: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            likesCount: {
+                $size: "$likes"
+            },
+            isLiked: {
+                $cond: {
+                    if: { $in: [userId, "$likes.likedBy"] },
+                    then: true,
+                    else: false
+                }
+            }
+        }
+    },
+    {
+        $project: {
+            likes: 0
+        }
+    }
+]
+
+const validateContent = (content) => {
+    if (!content || content.trim() === "") {
+        throw new ApiError(400, "Tweet content is required")
+    }
+    if (content.trim().length > MAX_TWEET_LENGTH) {
+        throw new ApiError(400, `Tweet cannot be longer than ${MAX_TWEET_LENGTH} characters`)
+    }
+}
+
+const findOwnedTweet = async (tweetId, userId) => {
+    if (!isValidObjectId(tweetId)) {
+        throw new ApiError(400, "Invalid tweet id")
+    }
+    const tweet = await Tweet.findById(tweetId)
+    if (!tweet) {
+        throw new ApiError(404, "Tweet not found!")
+    }
+    if (tweet.owner.toString() !== userId?.toString()) {
+        throw new ApiError(403, "You are not allowed to modify this tweet")
+    }
+    return tweet
+}
+
+const createTweet = asyncHandler(async (req, res) => {
+    const { content } = req.body
+    validateContent(content)
+
+    const tweet = await Tweet.create({
+        content,
+        owner: req.user?._id
+    })
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, tweet, "Tweet created successfully!"))
+})
+
+const getUserTweets = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user id")
+    }
+    const user = await User.exists({ _id: userId })
+    if (!user) {
+        throw new ApiError(404, "User does not exist!")
+    }
+    const { page, limit } = getPaginationOptions(req.query)
+
+    const tweets = await paginateAggregate(Tweet, [
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(userId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...tweetDetailsStages(req.user?._id)
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, tweets, "User tweets fetched successfully!"))
+})
+
+// tweets from subscribed channels and the user's own, newest first
+const getTimeline = asyncHandler(async (req, res) => {
+    const { cursor } = req.query
+    const { limit } = getPaginationOptions(req.query)
+
+    const channels = await Subscription.find({ subscriber: req.user?._id }).distinct("channel")
+
+    const tweets = await Tweet.aggregate([
+        {
+            $match: {
+                owner: { $in: [...channels, req.user?._id] },
+                ...cursorMatch(cursor)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            // one extra tweet tells us whether another page exists
+            $limit: limit + 1
+        },
+        ...tweetDetailsStages(req.user?._id)
+    ])
+
+    const hasNextPage = tweets.length > limit
+    const docs = hasNextPage ? tweets.slice(0, limit) : tweets
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            {
+                docs,
+                limit,
+                hasNextPage,
+                nextCursor: hasNextPage ? encodeCursor(docs[docs.length - 1]) : null
+            },
+            "Timeline fetched successfully!"
+        ))
+})
+
+const updateTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+    const { content } = req.body
+    validateContent(content)
+
+    const tweet = await findOwnedTweet(tweetId, req.user?._id)
+    tweet.content = content
+    await tweet.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, tweet, "Tweet updated successfully!"))
+})
+
+const deleteTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+    const tweet = await findOwnedTweet(tweetId, req.user?._id)
+
+    await Tweet.findByIdAndDelete(tweet._id)
+    await Like.deleteMany({ targetType: "Tweet", target: tweet._id })
+    await Notification.deleteMany({ target: tweet._id })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Tweet deleted successfully!"))
+})
+
+export {
+    createTweet,
+    getUserTweets,
+    getTimeline,
+    updateTweet,
+    deleteTweet
+}
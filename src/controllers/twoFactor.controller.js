@@ -0,0 +1,283 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.model.js";
+import { AuthToken } from "../models/authToken.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { hashToken } from "../utils/tokens.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri, encryptSecret, decryptSecret } from "../utils/totp.js";
+import { TWO_FACTOR_RECOVERY_CODE_COUNT } from "../constants.js";
+import { generateAccessAndRefreshToken, getSessionDetails } from "./user.controller.js";
+
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes"
+
+// a stored secret that no longer decrypts cannot check any code, only a recovery code still gets the user in
+const readSecret = (encryptedSecret) => {
+    const secret = decryptSecret(encryptedSecret)
+    if (!secret) {
+        throw new ApiError(409, "Your authenticator secret can no longer be read, log in with a recovery code, then turn two-factor login off and on again")
+    }
+    return secret
+}
+
+// recovery codes are typed by hand, "ABCDE-12345" and "abcde12345" are the same code
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, "")
+
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString("hex")
+        return `${code.slice(0, 5)}-${code.slice(5)}`
+    })
+    return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) }
+}
+
+const CHALLENGE_COOKIE = "twoFactorChallenge"
+// only ever sent back to POST /users/login/2fa
+const challengeCookieOptions = {
+    httpOnly: true,
+    secure: true,
+    path: "/api/v1/users/login/2fa"
+}
+
+// what a login answers instead of the cookies while the second factor is missing
+const issueTwoFactorChallenge = async (user) => {
+    const challengeToken = await AuthToken.issue(
+        user._id,
+        "two-factor-login",
+        process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m"
+    )
+    return { twoFactorRequired: true, challengeToken }
+}
+
+// for logins that end in a browser redirect (OAuth): the challenge travels like the session cookies,
+// in a url it would end up in the history, proxy logs and Referer headers
+const setChallengeCookie = (res, { challengeToken }) => res.cookie(CHALLENGE_COOKIE, challengeToken, {
+    ...challengeCookieOptions,
+    maxAge: jwt.decode(challengeToken).exp * 1000 - Date.now()
+})
+
+// checks a code from the authenticator app or a recovery code and uses it up,
+// the updates only match once so the same code sent twice at the same time still works once
+const useSecondFactor = async (user, { code, recoveryCode }) => {
+    if (code) {
+        const lastUsedStep = user.twoFactor.lastUsedStep ?? -1
+        const step = verifyTotp(readSecret(user.twoFactor.secret), code, { afterStep: lastUsedStep })
+        if (step === null) return false
+
+        const { modifiedCount } = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { "twoFactor.lastUsedStep": null },
+                    { "twoFactor.lastUsedStep": { $lt: step } }
+                ]
+            },
+            { $set: { "twoFactor.lastUsedStep": step } }
+        )
+        return modifiedCount === 1
+    }
+
+    if (recoveryCode) {
+        const codeHash = hashToken(normalizeRecoveryCode(recoveryCode))
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, "twoFactor.recoveryCodes": codeHash },
+            { $pull: { "twoFactor.recoveryCodes": codeHash } }
+        )
+        return modifiedCount === 1
+    }
+
+    return false
+}
+
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("+twoFactor.recoveryCodes")
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            recoveryCodesLeft: user.twoFactor.recoveryCodes?.length || 0
+        }, "Two-factor status fetched successfully!"))
+})
+
+// step one: a new secret for the authenticator app, nothing changes for the login until it is confirmed
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    if (req.user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor login is already turned on")
+    }
+
+    const secret = generateTotpSecret()
+    await User.updateOne(
+        { _id: req.user._id },
+        { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } }
+    )
+
+    const otpauthUri = buildOtpauthUri(secret, {
+        issuer: process.env.TWO_FACTOR_ISSUER || req.hostname,
+        account: req.user.email
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { secret, otpauthUri }, "Scan the code with your authenticator app and confirm it with a code"))
+})
+
+// step two: the first code proves the app has the secret, the recovery codes are shown this once only
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS)
+    if (user.twoFactor.enabled) {
+        throw new ApiError(400, "Two-factor login is already turned on")
+    }
+    if (!user.twoFactor.pendingSecret) {
+        throw new ApiError(400, "Set up two-factor login first")
+    }
+
+    const pendingSecret = decryptSecret(user.twoFactor.pendingSecret)
+    if (!pendingSecret) {
+        throw new ApiError(409, "Two-factor setup has expired, please set it up again")
+    }
+    const step = verifyTotp(pendingSecret, req.body.code)
+    if (step === null) {
+        throw new ApiError(400, "Invalid two-factor code")
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                "twoFactor.enabled": true,
+                "twoFactor.secret": user.twoFactor.pendingSecret,
+                "twoFactor.recoveryCodes": hashes,
+                "twoFactor.lastUsedStep": step,
+                "twoFactor.enabledAt": new Date()
+            },
+            $unset: { "twoFactor.pendingSecret": 1 }
+        }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { recoveryCodes: codes }, "Two-factor login turned on successfully!"))
+})
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS)
+    if (!user.twoFactor.enabled) {
+        throw new ApiError(400, "Two-factor login is not turned on")
+    }
+    if (!await useSecondFactor(user, req.body)) {
+        throw new ApiError(401, "Invalid two-factor code")
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                "twoFactor.enabled": false,
+                "twoFactor.lastUsedStep": null,
+                "twoFactor.enabledAt": null
+            },
+            $unset: {
+                "twoFactor.secret": 1,
+                "twoFactor.pendingSecret": 1,
+                "twoFactor.recoveryCodes": 1
+            }
+        }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Two-factor login turned off successfully!"))
+})
+
+// the old codes stop working, e.g. after the list was lost
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS)
+    if (!user.twoFactor.enabled) {
+        throw new ApiError(400, "Two-factor login is not turned on")
+    }
+    if (!await useSecondFactor(user, req.body)) {
+        throw new ApiError(401, "Invalid two-factor code")
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { "twoFactor.recoveryCodes": hashes } }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { recoveryCodes: codes }, "Recovery codes generated successfully!"))
+})
+
+// second half of a login: the challenge from POST /login (or the cookie an OAuth login left) plus a code,
+// only now the cookies are issued
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const challengeToken = req.body.challengeToken || req.cookies?.[CHALLENGE_COOKIE]
+    if (!challengeToken) {
+        throw new ApiError(401, "Login has expired, please log in again")
+    }
+
+    const userId = await AuthToken.check(challengeToken, "two-factor-login")
+    const user = userId && await User.findById(userId).select(SECRET_FIELDS)
+    if (!user || !user.twoFactor.enabled) {
+        throw new ApiError(401, "Login has expired, please log in again")
+    }
+
+    if (user.isLocked()) {
+        const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(423, `Account is locked after too many failed logins, try again in ${retryAfter} seconds`)
+    }
+
+    // wrong codes count like wrong passwords, the account locks the same way
+    if (!await useSecondFactor(user, req.body)) {
+        await user.registerFailedLogin()
+        throw new ApiError(401, "Invalid two-factor code")
+    }
+
+    // a challenge logs in once
+    if (!await AuthToken.consume(challengeToken, "two-factor-login")) {
+        throw new ApiError(401, "Login has expired, please log in again")
+    }
+
+    await user.resetLoginAttempts()
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, getSessionDetails(req))
+
+    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+    return res.status(200)
+        .clearCookie(CHALLENGE_COOKIE, challengeCookieOptions)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    user: loggedInUser, accessToken,
+                    refreshToken
+                },
+                "user logged in successfully !"
+            )
+        )
+})
+
+export {
+    issueTwoFactorChallenge,
+    setChallengeCookie,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorLogin
+}
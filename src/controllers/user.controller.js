@@ -2,19 +2,40 @@ import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js'
 import { User } from '../models/user.model.js';
 import { upload } from '../middlewares/multer.middleware.js';
-import { uploadToCloudinary } from '../utils/cloudinary.js'
+import { uploadFile, deleteFile } from '../utils/storage/index.js'
 import ApiResponse from '../utils/ApiResponse.js'
 import jwt from 'jsonwebtoken'
-import mongoose from 'mongoose';
+import mongoose, { isValidObjectId } from 'mongoose';
+import { Session } from '../models/session.model.js'
+import { hashToken } from '../utils/tokens.js'
+import { trySendVerificationEmail } from './auth.controller.js'
+import { issueTwoFactorChallenge } from './twoFactor.controller.js'
+import { getPaginationOptions, paginateAggregate } from '../utils/pagination.js'
+import { lookupUserDetails } from '../utils/aggregation.js'
+
+// expiry of a signed token as a Date, used to let mongo expire the session with it
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000)
+
+const getSessionDetails = (req) => ({
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip || ""
+})
 
-const generateAccessAndRefreshToken = async (userId) => {
+// every login starts a new session so other devices stay logged in
+const generateAccessAndRefreshToken = async (userId, sessionDetails = {}) => {
     try {
         const user = await User.findById(userId)
-        const accessToken = user.generateAccessToken()
-        const refreshToken = user.generateRefreshToken()
-
-        user.refreshToken = refreshToken
-        await user.save({ validateBeforeSave: false })
+        const session = new Session({
+            user: user._id,
+            userAgent: sessionDetails.userAgent,
+            ip: sessionDetails.ip
+        })
+        const accessToken = user.generateAccessToken(session._id)
+        const refreshToken = user.generateRefreshToken(session._id)
+
+        session.refreshTokenHash = hashToken(refreshToken)
+        session.expiresAt = getTokenExpiry(refreshToken)
+        await session.save()
 
         return { accessToken, refreshToken }
 
@@ -28,20 +49,15 @@ const registerUser = asyncHandler(async (req, res) => {
     //     message: "OK"
     // })
     // get user details from frontend
-    //validation - not empty
+    //validation - handled by validate(registerSchema) in user.routes.js
     // check if user is already exists: username, email
-    // upload them to cloudinary
+    // upload them to storage (cloudinary or local disk)
     // create user object - create empty DB
     // remove password from refresh token field from response
     // check for user creation
     //return response
 
     const { fullName, email, username, password } = req.body
-    console.log("email:", email)
-    if ([fullName, email, username, password].some((field) =>
-        field?.trim() === "")) {
-        throw new ApiError(400, "All fields are required!")
-    }
     const existedUser = await User.findOne({
         $or: [{ username }, { email }]
     })
@@ -60,8 +76,8 @@ const registerUser = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Avatar file is required")
         }
 
-        avatar = await uploadToCloudinary(avatarLocalPath)
-        coverImage = await uploadToCloudinary(coverImageLocalPath)
+        avatar = await uploadFile(avatarLocalPath, { folder: "avatars", resourceType: "image" })
+        coverImage = await uploadFile(coverImageLocalPath, { folder: "cover-images", resourceType: "image" })
         if (!avatar) {
             throw new ApiError(400, "Avatar file is required")
         }
@@ -90,6 +106,8 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Some thing went wrong while registering the user!")
     }
 
+    await trySendVerificationEmail(createdUser)
+
     return res.status(201).json(
         new ApiResponse(201, createdUser, "User registered successfully!")
     )
@@ -104,25 +122,48 @@ const loginUser = asyncHandler(async (req, res) => {
     // send cookies
 
     const { email, username, password } = req.body
-    if (!username && !email) {
-        throw new ApiError(400, "username or email is required !")
-    }
 
+    // only one of the two may be sent, an undefined condition would match any user
     const user = await User.findOne({
-        $or: [{ username }, { email }]
+        $or: [
+            username && { username: username.toLowerCase() },
+            email && { email: email.toLowerCase() }
+        ].filter(Boolean)
     })
 
     if (!user) {
         throw new ApiError(404, "User does not exist")
     }
 
+    if (user.isLocked()) {
+        const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(423, `Account is locked after too many failed logins, try again in ${retryAfter} seconds`)
+    }
+
+    // accounts created through a social login have no password until they reset it
+    if (!user.password) {
+        throw new ApiError(400, "This account signs in with a social login, use it or reset your password")
+    }
+
     const isPasswordValid = await user.isPasswordCorrect(password)
 
     if (!isPasswordValid) {
+        await user.registerFailedLogin()
         throw new ApiError(401, "Invalid user credentials !")
     }
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id)
+    // no cookies yet, they come from POST /login/2fa once the code is checked
+    // (failed attempts are not reset either, the password alone must not unlock more guesses)
+    if (user.twoFactor?.enabled) {
+        return res
+            .status(200)
+            .json(new ApiResponse(200, await issueTwoFactorChallenge(user), "Two-factor code required"))
+    }
+
+    await user.resetLoginAttempts()
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, getSessionDetails(req))
 
     const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
 
@@ -146,17 +187,13 @@ const loginUser = asyncHandler(async (req, res) => {
 })
 
 const logoutUser = asyncHandler(async (req, res, next) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $set: {
-                refreshToken: undefined
-            }
-        },
-        {
-            new: true
-        }
-    )
+    // only this device is logged out, other sessions keep working
+    if (req.sessionId) {
+        await Session.updateOne(
+            { _id: req.sessionId, user: req.user._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+        )
+    }
     const options = {
         httpOnly: true,
         secure: true
@@ -183,11 +220,39 @@ const refereshAccessToken = asyncHandler(async (req, res) => {
 
         const user = await User.findById(decodedToken?._id)
 
-        if (!user) {
+        if (!user || !decodedToken?.sid) {
             throw new ApiError(401, "Invalid refresh token")
         }
 
-        if (incomingRefreshToken !== user?.refereshAccessToken) {
+        const accessToken = user.generateAccessToken(decodedToken.sid)
+        const newRefreshToken = user.generateRefreshToken(decodedToken.sid)
+
+        // swap the token only if the incoming one is still the current token of the session
+        const session = await Session.findOneAndUpdate(
+            {
+                _id: decodedToken.sid,
+                user: user._id,
+                refreshTokenHash: hashToken(incomingRefreshToken),
+                revokedAt: null
+            },
+            {
+                $set: {
+                    refreshTokenHash: hashToken(newRefreshToken),
+                    expiresAt: getTokenExpiry(newRefreshToken),
+                    lastUsedAt: new Date(),
+                    ...getSessionDetails(req)
+                }
+            },
+            { new: true }
+        )
+
+        if (!session) {
+            // a validly signed token that is no longer current was already rotated,
+            // someone is replaying it so the whole session goes
+            await Session.updateOne(
+                { _id: decodedToken.sid, user: user._id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: "reuse-detected" } }
+            )
             throw new ApiError(401, "Refresh Token is expiered or used")
         }
 
@@ -196,7 +261,6 @@ const refereshAccessToken = asyncHandler(async (req, res) => {
             secure: true
         }
 
-        const { accessToken, newRefreshToken } = await generateAccessAndRefreshToken(user._id)
         return res
             .status(200)
             .cookie("accessToken", accessToken, options)
@@ -236,19 +300,23 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 
 const updateAccoounDetails = asyncHandler(async (req, res) => {
     const { fullname, email } = req.body
-    if (!fullname || !email) {
-        throw new ApiError(400, "all fields are rquired")
-    }
-    const user = User.findByIdAndUpdate(
+    // a new address has to be verified again
+    const emailChanged = email.toLowerCase() !== req.user?.email
+    const user = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
                 fullname,
-                email
+                email,
+                ...(emailChanged ? { isEmailVerified: false } : {})
             }
         },
         { new: true }
     ).select("-password")
+
+    if (emailChanged) {
+        await trySendVerificationEmail(user)
+    }
     return res
         .status(200)
         .json(new ApiResponse(200, user, "Account details updated successfully!"))
@@ -264,27 +332,13 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     if (!user) {
         throw new ApiError(404, "User not found!");
     }
+    const oldAvatar = user.avatar;
 
-    let oldPublicId = null;
-    if (user.avatar && user.avatar.includes("cloudinary.com")) {
-        const parts = user.avatar.split("/");
-        const fileName = parts[parts.length - 1];
-        oldPublicId = fileName.split(".")[0];
-    }
-
-    const avatar = await uploadToCloudinary(avatarLocalPath);
-    if (!avatar.url) {
+    const avatar = await uploadFile(avatarLocalPath, { folder: "avatars", resourceType: "image" });
+    if (!avatar?.url) {
         throw new ApiError(400, "Error while uploading avatar!");
     }
 
-    if (oldPublicId) {
-        try {
-            await cloudinary.uploader.destroy(oldPublicId);
-        } catch (error) {
-            console.error("Error deleting old avatar:", error);
-        }
-    }
-
     const updatedUser = await User.findByIdAndUpdate(
         req.user?._id,
         {
@@ -295,6 +349,9 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
         { new: true }
     ).select("-password");
 
+    // the old file goes only once the new one is saved
+    await deleteFile(oldAvatar, { resourceType: "image" });
+
     return res
         .status(200)
         .json(new ApiResponse(200, updatedUser, "Avatar updated successfully!"));
@@ -306,8 +363,9 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     if (!coverImageLocalPath) {
         throw new ApiError(400, "Cover Image file is missing!")
     }
-    const coverImage = await uploadToCloudinary(coverImageLocalPath)
-    if (!coverImage.url) {
+    const oldCoverImage = req.user?.coverImage
+    const coverImage = await uploadFile(coverImageLocalPath, { folder: "cover-images", resourceType: "image" })
+    if (!coverImage?.url) {
         throw new ApiError(400, "Error while uploading on cover image")
     }
     const user = await User.findByIdAndUpdate(
@@ -319,6 +377,9 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
         },
         { new: true }
     ).select("-password")
+
+    await deleteFile(oldCoverImage, { resourceType: "image" })
+
     return res
         .status(200)
         .json(new ApiResponse(200, user, "Cover image updated successfully!"))
@@ -391,53 +452,93 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 })
 
 const getWatchHistroy = asyncHandler(async(req, res)=>{
-    const user = await User.aggregate([
+    // watchHistory is stored newest first, so the array index is the order we return
+    const { page, limit } = getPaginationOptions(req.query)
+    const history = await paginateAggregate(User, [
         {
             $match:{
                 _id: new mongoose.Types.ObjectId(req.user?._id)
             }
         },
+        {
+            $unwind:{
+                path: "$watchHistory",
+                includeArrayIndex: "position"
+            }
+        },
         {
             $lookup:{
                 from: "videos",
                 localField: "watchHistory",
                 foreignField: "_id",
-                as: "watchHistory",
+                as: "video",
                 pipeline: [
                     {
-                        $lookup:{
-                            from: "users",
-                            localField: "owner",
-                            foreignField: "_id",
-                            as: "owner",
-                            pipeline:[
-                                {
-                                    $project:{
-                                        fullName: 1,
-                                        username: 1,
-                                        avatar: 1
-                                    }
-                                }
+                        $match:{
+                            $or: [
+                                { isPublished: true },
+                                { owner: new mongoose.Types.ObjectId(req.user?._id) }
                             ]
                         }
                     },
-                    {
-                        $addFields:{
-                            owner: {
-                                $first: "$owner"
-                            }
-                        }
-                    }
+                    ...lookupUserDetails("owner")
                 ]
             }
+        },
+        {
+            $unwind: "$video"
+        },
+        {
+            $sort:{
+                position: 1
+            }
+        },
+        {
+            $replaceRoot:{
+                newRoot: "$video"
+            }
         }
-    ])
+    ], { page, limit })
+    return res
+    .status(200)
+    .json(new ApiResponse(200, history, "User watch history fetched successfully!"))
+})
+
+const removeFromWatchHistory = asyncHandler(async(req, res)=>{
+    const { videoId } = req.params
+    if(!isValidObjectId(videoId)){
+        throw new ApiError(400, "Invalid video id")
+    }
+    await User.updateOne(
+        { _id: req.user?._id },
+        {
+            $pull: {
+                watchHistory: new mongoose.Types.ObjectId(videoId)
+            }
+        }
+    )
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history!"))
+})
+
+const clearWatchHistory = asyncHandler(async(req, res)=>{
+    await User.updateOne(
+        { _id: req.user?._id },
+        {
+            $set: {
+                watchHistory: []
+            }
+        }
+    )
     return res
     .status(200)
-    .json(new ApiResponse(200, user?.[0]?.watchHistory || [], "User watch history fetched successfully!"))
+    .json(new ApiResponse(200, {}, "Watch history cleared successfully!"))
 })
 
 export {
+    generateAccessAndRefreshToken,
+    getSessionDetails,
     registerUser,
     loginUser,
     logoutUser,
@@ -448,5 +549,7 @@ export {
     updateUserCoverImage,
     getUserChannelProfile,
     getWatchHistroy,
+    removeFromWatchHistory,
+    clearWatchHistory,
     changeCurrentPassword
 }
\ No newline at end of file
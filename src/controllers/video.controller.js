@@ -0,0 +1,549 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import fs from "fs";
+import path from "path";
+import { Video, PROCESSED_VIDEO_MATCH, isVideoProcessed, isVideoVisibleTo } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { View } from "../models/view.model.js";
+import { ViewStat } from "../models/viewStat.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Notification } from "../models/notification.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getStorage, uploadFile, deleteFile, deleteFolder } from "../utils/storage/index.js";
+import { signValue, verifySignature } from "../utils/tokens.js";
+import { enqueueVideoProcessing, queueNewVideoNotifications } from "../utils/jobs/index.js";
+import { getPaginationOptions, paginateAggregate } from "../utils/pagination.js";
+import { lookupUserDetails } from "../utils/aggregation.js";
+import { VIEW_COUNT_WINDOW_SECONDS, WATCH_HISTORY_LIMIT, STREAM_URL_TTL_SECONDS } from "../constants.js";
+
+const SORTABLE_FIELDS = ["createdAt", "views", "duration"]
+
+// players are picky, the generic mime lookup calls .mp4 "application/mp4"
+const VIDEO_CONTENT_TYPES = {
+    ".mp4": "video/mp4",
+    ".m4v": "video/mp4",
+    ".mov": "video/quicktime",
+    ".webm": "video/webm",
+    ".ogv": "video/ogg",
+    ".ogg": "video/ogg",
+    ".mkv": "video/x-matroska",
+    ".avi": "video/x-msvideo",
+    ".m3u8": "application/vnd.apple.mpegurl",
+    ".ts": "video/mp2t"
+}
+
+// the HLS output sits next to its master playlist, e.g. 720p/segment_003.ts
+const getHlsFileUrl = (video, file) => {
+    const masterPlaylist = video.hls?.masterPlaylist
+    if (!masterPlaylist) return null
+    return `${masterPlaylist.slice(0, masterPlaylist.lastIndexOf("/"))}/${file.join("/")}`
+}
+
+// relative uris in a playlist lose the query string, a signed playlist passes its signature on to what it lists
+const signPlaylist = (playlist, query) => playlist
+    .split("\n")
+    .map((line) => (line.trim() && !line.startsWith("#") ? `${line}${line.includes("?") ? "&" : "?"}${query}` : line))
+    .join("\n")
+
+// owner-only actions load the video first and compare it against req.user
+const findOwnedVideo = async (videoId, userId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id")
+    }
+    const video = await Video.findById(videoId)
+    if (!video) {
+        throw new ApiError(404, "Video not found!")
+    }
+    if (video.owner.toString() !== userId?.toString()) {
+        throw new ApiError(403, "You are not allowed to modify this video")
+    }
+    return video
+}
+
+const streamSecret = () => process.env.STREAM_URL_SECRET || process.env.ACCESS_TOKEN_SECRET
+
+// a signed stream url vouches for one video until one moment
+const streamSignatureValue = (videoId, expires) => `${videoId}:${expires}`
+
+const getAllVideos = asyncHandler(async (req, res) => {
+    const { owner, isPublished, sortBy = "createdAt", sortType = "desc" } = req.query
+    const { page, limit } = getPaginationOptions(req.query)
+
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+        throw new ApiError(400, `sortBy must be one of ${SORTABLE_FIELDS.join(", ")}`)
+    }
+    if (owner && !isValidObjectId(owner)) {
+        throw new ApiError(400, "Invalid owner id")
+    }
+
+    const match = {}
+    if (owner) {
+        match.owner = new mongoose.Types.ObjectId(owner)
+    }
+
+    // only the owner may look at their own unpublished or still processing videos
+    const isOwner = Boolean(owner) && owner === req.user?._id?.toString()
+    if (!isOwner) {
+        match.isPublished = true
+        Object.assign(match, PROCESSED_VIDEO_MATCH)
+    } else if (isPublished !== undefined) {
+        match.isPublished = isPublished === "true"
+    }
+
+    const videos = await paginateAggregate(Video, [
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                [sortBy]: sortType === "asc" ? 1 : -1,
+                _id: -1
+            }
+        },
+        ...lookupUserDetails("owner")
+    ], { page, limit })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Videos fetched successfully!"))
+})
+
+const publishAVideo = asyncHandler(async (req, res) => {
+    // get title and description
+    // get video file and the optional thumbnail from multer
+    // upload both to storage
+    // create the video document and queue it for processing,
+    // the job probes the duration, generates a missing thumbnail and transcodes to HLS
+
+    const { title, description } = req.body
+    if ([title, description].some((field) => !field || field.trim() === "")) {
+        throw new ApiError(400, "Title and description are required!")
+    }
+
+    const videoLocalPath = req.files?.videoFile?.[0]?.path
+    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path
+
+    if (!videoLocalPath) {
+        throw new ApiError(400, "Video file is required")
+    }
+
+    const videoFile = await uploadFile(videoLocalPath, { folder: "videos", resourceType: "video" })
+    const thumbnail = thumbnailLocalPath
+        ? await uploadFile(thumbnailLocalPath, { folder: "thumbnails", resourceType: "image" })
+        : { url: "" }
+
+    if (!videoFile?.url || !thumbnail) {
+        // do not leave half of the upload behind
+        await deleteFile(videoFile?.url, { resourceType: "video" })
+        await deleteFile(thumbnail?.url, { resourceType: "image" })
+        throw new ApiError(500, `Error while uploading the ${videoFile?.url ? "thumbnail" : "video file"}`)
+    }
+
+    const video = await Video.create({
+        title,
+        description,
+        videoFile: videoFile.url,
+        thumbnail: thumbnail.url,
+        duration: videoFile.duration || 0,
+        processingStatus: "queued",
+        owner: req.user?._id,
+        isPublished: req.body.isPublished === undefined ? true : String(req.body.isPublished) === "true"
+    })
+
+    await enqueueVideoProcessing(video._id)
+
+    const createdVideo = await Video.findById(video._id)
+    if (!createdVideo) {
+        throw new ApiError(500, "Something went wrong while publishing the video")
+    }
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, createdVideo, "Video published successfully!"))
+})
+
+const getVideoById = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id")
+    }
+
+    const video = await Video.aggregate([
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(videoId)
+            }
+        },
+        ...lookupUserDetails("owner"),
+        {
+            $lookup: {
+                from: "comments",
+                localField: "_id",
+                foreignField: "video",
+                as: "comments",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "likes",
+                localField: "_id",
+                foreignField: "target",
+                as: "likes",
+                pipeline: [
+                    {
+                        $match: {
+                            targetType: "Video"
+                        }
+                    },
+                    {
+                        $project: {
+                            likedBy: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                commentsCount: {
+                    $size: "$comments"
+                },
+                likesCount: {
+                    $size: "$likes"
+                },
+                isLiked: {
+                    $cond: {
+                        if: { $in: [req.user?._id, "$likes.likedBy"] },
+                        then: true,
+                        else: false
+                    }
+                }
+            }
+        },
+        {
+            $project: {
+                comments: 0,
+                likes: 0
+            }
+        }
+    ])
+
+    const isOwner = video?.[0]?.owner?._id?.toString() === req.user?._id?.toString()
+    // unpublished videos behave as if they do not exist for everyone but the owner
+    if (!video?.length || (!video[0].isPublished && !isOwner)) {
+        throw new ApiError(404, "Video not found!")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video[0], "Video fetched successfully!"))
+})
+
+const updateVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { title, description } = req.body
+    const thumbnailLocalPath = req.file?.path
+
+    if (!title && !description && !thumbnailLocalPath) {
+        throw new ApiError(400, "Nothing to update")
+    }
+
+    const video = await findOwnedVideo(videoId, req.user?._id)
+
+    if (title?.trim()) video.title = title
+    if (description?.trim()) video.description = description
+
+    const oldThumbnail = video.thumbnail
+    if (thumbnailLocalPath) {
+        const thumbnail = await uploadFile(thumbnailLocalPath, { folder: "thumbnails", resourceType: "image" })
+        if (!thumbnail?.url) {
+            throw new ApiError(500, "Error while uploading the thumbnail")
+        }
+        video.thumbnail = thumbnail.url
+    }
+
+    await video.save()
+
+    if (thumbnailLocalPath) {
+        await deleteFile(oldThumbnail, { resourceType: "image" })
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video updated successfully!"))
+})
+
+const deleteVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const video = await findOwnedVideo(videoId, req.user?._id)
+
+    await Video.findByIdAndDelete(video._id)
+    const comments = await Comment.find({ video: video._id }).distinct("_id")
+    await Comment.deleteMany({ video: video._id })
+    await Playlist.updateMany({ videos: video._id }, { $pull: { videos: video._id } })
+    await ViewStat.deleteMany({ video: video._id })
+    await Notification.deleteMany({ video: video._id })
+    await Like.deleteMany({
+        $or: [
+            { targetType: "Video", target: video._id },
+            { targetType: "Comment", target: { $in: comments } }
+        ]
+    })
+
+    await deleteFile(video.videoFile, { resourceType: "video" })
+    await deleteFile(video.thumbnail, { resourceType: "image" })
+    await deleteFolder(video.hls?.folder)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Video deleted successfully!"))
+})
+
+const togglePublishStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const video = await findOwnedVideo(videoId, req.user?._id)
+
+    if (!video.isPublished && video.moderation?.isBlocked) {
+        throw new ApiError(403, "This video was unpublished by a moderator and cannot be published again")
+    }
+
+    video.isPublished = !video.isPublished
+    await video.save({ validateBeforeSave: false })
+
+    // still processing videos are announced by the processing job once it is done
+    if (video.isPublished && isVideoProcessed(video)) {
+        await queueNewVideoNotifications(video._id)
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { isPublished: video.isPublished },
+            `Video ${video.isPublished ? "published" : "unpublished"} successfully!`
+        ))
+})
+
+// another go after every attempt of the processing job failed, e.g. once ffmpeg is installed
+const reprocessVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const video = await findOwnedVideo(videoId, req.user?._id)
+
+    // the update only matches a failed video, two clicks do not queue two jobs
+    const { modifiedCount } = await Video.updateOne(
+        { _id: video._id, processingStatus: "failed" },
+        { $set: { processingStatus: "queued", processingError: "" } }
+    )
+    if (!modifiedCount) {
+        throw new ApiError(400, "Only a video whose processing failed can be processed again")
+    }
+
+    await enqueueVideoProcessing(video._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { processingStatus: "queued" }, "Video queued for processing!"))
+})
+
+// called by the player when playback starts
+const recordVideoView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video id")
+    }
+
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus views")
+    if (!video || !isVideoVisibleTo(video, req.user?._id)) {
+        throw new ApiError(404, "Video not found!")
+    }
+
+    // viewedAt only moves when a view is counted, so the window is fixed from the counted view
+    // (and the ttl runs out) however often the video is replayed inside it.
+    // the filter matches a missing or stale record only, a fresh one makes the upsert hit the
+    // unique index, which means this play does not count, also when two plays raced on the insert
+    const windowStart = new Date(Date.now() - VIEW_COUNT_WINDOW_SECONDS * 1000)
+    let counted = false
+    try {
+        await View.updateOne(
+            { video: video._id, viewer: req.user?._id, viewedAt: { $lt: windowStart } },
+            { $set: { viewedAt: new Date() } },
+            { upsert: true }
+        )
+        counted = true
+    } catch (error) {
+        if (error?.code !== 11000) throw error
+    }
+
+    let views = video.views
+    if (counted) {
+        const updatedVideo = await Video.findByIdAndUpdate(
+            video._id,
+            { $inc: { views: 1 } },
+            { new: true }
+        ).select("views")
+        views = updatedVideo.views
+
+        const day = new Date()
+        day.setUTCHours(0, 0, 0, 0)
+        await ViewStat.updateOne(
+            { video: video._id, day },
+            { $inc: { views: 1 }, $setOnInsert: { owner: video.owner } },
+            { upsert: true }
+        )
+    }
+
+    // move the video to the front of the history, drop the old entry and cap the length
+    const videoObjectId = new mongoose.Types.ObjectId(videoId)
+    await User.updateOne(
+        { _id: req.user?._id },
+        [
+            {
+                $set: {
+                    watchHistory: {
+                        $slice: [
+                            {
+                                $concatArrays: [
+                                    [videoObjectId],
+                                    {
+                                        $filter: {
+                                            input: { $ifNull: ["$watchHistory", []] },
+                                            cond: { $ne: ["$$this", videoObjectId] }
+                                        }
+                                    }
+                                ]
+                            },
+                            WATCH_HISTORY_LIMIT
+                        ]
+                    }
+                }
+            }
+        ]
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { views, counted }, "Video view recorded successfully!"))
+})
+
+// a link that plays the video without cookies, e.g. to embed an unpublished video somewhere
+const getStreamUrl = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const expiresIn = Number(req.query.expiresIn) || STREAM_URL_TTL_SECONDS
+
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus hls")
+    if (!video || !isVideoVisibleTo(video, req.user?._id)) {
+        throw new ApiError(404, "Video not found!")
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn
+    const signature = signValue(streamSignatureValue(video._id, expires), streamSecret())
+    const baseUrl = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "")
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            {
+                url: `${baseUrl}/api/v1/videos/${video._id}/stream?expires=${expires}&signature=${signature}`,
+                hlsUrl: video.hls?.masterPlaylist
+                    ? `${baseUrl}/api/v1/videos/${video._id}/stream/master.m3u8?expires=${expires}&signature=${signature}`
+                    : null,
+                expiresAt: new Date(expires * 1000)
+            },
+            "Stream url created successfully!"
+        ))
+})
+
+// GET /videos/:videoId/stream, for a logged in user or with ?expires=&signature= from getStreamUrl
+// GET /videos/:videoId/stream/master.m3u8 and the playlists and segments it lists play the HLS renditions
+// res.sendFile answers Range requests with 206, If-None-Match with 304 and sets ETag and Content-Type
+const streamVideo = asyncHandler(async (req, res, next) => {
+    const { videoId, file } = req.params
+    const { expires, signature } = req.query
+
+    const video = await Video.findById(videoId).select("owner videoFile hls isPublished processingStatus moderation")
+    if (!video) {
+        throw new ApiError(404, "Video not found!")
+    }
+
+    if (signature) {
+        const isValid = verifySignature(streamSignatureValue(video._id, expires), signature, streamSecret())
+        if (!isValid || Number(expires) * 1000 < Date.now()) {
+            throw new ApiError(403, "Stream url is invalid or has expired")
+        }
+        // a link handed out before a moderator stepped in must stop working
+        if (video.moderation?.isBlocked) {
+            throw new ApiError(404, "Video not found!")
+        }
+    } else if (!isVideoVisibleTo(video, req.user?._id)) {
+        throw new ApiError(404, "Video not found!")
+    }
+
+    const fileUrl = file ? getHlsFileUrl(video, file) : video.videoFile
+    if (!fileUrl) {
+        throw new ApiError(404, "Video file not found!")
+    }
+
+    const filePath = getStorage().getLocalPath?.(fileUrl)
+    // media kept by a remote driver is streamed by that service
+    if (!filePath) {
+        return res.redirect(302, fileUrl)
+    }
+
+    if (signature && path.extname(filePath) === ".m3u8") {
+        const playlist = await fs.promises.readFile(filePath, "utf8").catch(() => null)
+        if (playlist === null) {
+            throw new ApiError(404, "Video file not found!")
+        }
+        return res
+            .status(200)
+            .set("Content-Type", VIDEO_CONTENT_TYPES[".m3u8"])
+            .set("Cache-Control", "private, max-age=0, must-revalidate")
+            .send(signPlaylist(playlist, new URLSearchParams({ expires, signature }).toString()))
+    }
+
+    const contentType = VIDEO_CONTENT_TYPES[path.extname(filePath).toLowerCase()]
+    res.sendFile(filePath, {
+        acceptRanges: true,
+        etag: true,
+        lastModified: true,
+        cacheControl: false,
+        headers: {
+            "Cache-Control": "private, max-age=0, must-revalidate",
+            ...(contentType ? { "Content-Type": contentType } : {})
+        }
+    }, (error) => {
+        // the player hanging up mid-stream is normal, there is nobody left to answer
+        if (!error || res.headersSent) return
+        // the file's headers are already set, the error goes out as json
+        ["Content-Type", "ETag", "Last-Modified"].forEach((header) => res.removeHeader(header))
+        if (error.code === "ENOENT" || error.status === 404) {
+            return next(new ApiError(404, "Video file not found!"))
+        }
+        // 416 for a range past the end, Content-Range is already set
+        next(error.status && error.status < 500 ? new ApiError(error.status, error.message) : error)
+    })
+})
+
+export {
+    getAllVideos,
+    publishAVideo,
+    getVideoById,
+    updateVideo,
+    deleteVideo,
+    togglePublishStatus,
+    reprocessVideo,
+    recordVideoView,
+    getStreamUrl,
+    streamVideo
+}
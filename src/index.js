@@ -30,11 +30,13 @@
 
 import dotenv from "dotenv"
 import connectDB from "./db/index.js"
+import { checkEnv } from "./utils/env.js"
 
 dotenv.config({
     path: ".env"
 })
 
+checkEnv()
 
 
 connectDB()
@@ -44,6 +46,12 @@ connectDB()
     app.listen(process.env.PORT, ()=>{
         console.log(`Server is listening on port ${process.env.PORT}`)
     })
+
+    // background jobs (video processing), JOB_WORKER=false keeps an instance to serving requests only
+    if (process.env.JOB_WORKER !== "false") {
+        const { startJobWorker } = await import('./utils/jobs/index.js')
+        startJobWorker({ concurrency: Number(process.env.JOB_CONCURRENCY) || 1 })
+    }
 })
 .catch((error)=>{
     console.log("Error in connecting to DB", error)
@@ -2,6 +2,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt  from 'jsonwebtoken';
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 
 export const verifyJWT = asyncHandler(async(req, _, next) => {
     try {
@@ -17,10 +18,38 @@ export const verifyJWT = asyncHandler(async(req, _, next) => {
         if(!user){
             throw new ApiError(401, "Invalid Access Token !")
         }
+
+        if(user.isSuspended()){
+            throw new ApiError(403, `Your account has been ${user.status === "banned" ? "banned" : "suspended"}`)
+        }
+
+        // a revoked session must not keep working until its access token expires
+        const session = await Session.exists({ _id: decodedToken?.sid, user: user._id, revokedAt: null })
+        if(!session){
+            throw new ApiError(401, "Session has been revoked")
+        }
     
         req.user = user;
+        req.sessionId = decodedToken.sid
         next()
     } catch (error) {
+        if(error instanceof ApiError) throw error
         throw new ApiError(401, error?.message || "Invalid Access Token !")
     }
-})
\ No newline at end of file
+})
+
+// use after verifyJWT: authorize("admin", "moderator")
+export const authorize = (...roles) => (req, _, next) => {
+    if (!roles.includes(req.user?.role)) {
+        return next(new ApiError(403, "You do not have permission to perform this action"))
+    }
+    next()
+}
+
+// set REQUIRE_VERIFIED_EMAIL_FOR_UPLOAD=true to keep unverified accounts from uploading
+export const requireVerifiedEmail = (req, _, next) => {
+    if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_UPLOAD === "true" && !req.user?.isEmailVerified) {
+        return next(new ApiError(403, "Please verify your email before uploading videos"))
+    }
+    next()
+}
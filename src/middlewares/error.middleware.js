@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utils/ApiError.js";
+
+// turns whatever was thrown into an ApiError so every failure has the same shape
+const normalizeError = (err) => {
+    if (err instanceof ApiError) {
+        return err
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(err.errors).map((item) => ({
+            field: item.path,
+            message: item.message
+        }))
+        return new ApiError(400, "Validation failed", errors, err.stack)
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new ApiError(400, `Invalid value for ${err.path}`, [], err.stack)
+    }
+
+    // duplicate key from a unique index
+    if (err?.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {})
+        const errors = fields.map((field) => ({
+            field,
+            message: `${field} already exists`
+        }))
+        return new ApiError(409, `Duplicate value for ${fields.join(", ") || "a unique field"}`, errors, err.stack)
+    }
+
+    if (err instanceof jwt.TokenExpiredError) {
+        return new ApiError(401, "Token has expired", [], err.stack)
+    }
+
+    if (err instanceof jwt.JsonWebTokenError || err instanceof jwt.NotBeforeError) {
+        return new ApiError(401, "Invalid token", [], err.stack)
+    }
+
+    // malformed JSON body and other errors raised by body parsers carry their own status
+    if (err?.type === "entity.parse.failed") {
+        return new ApiError(400, "Malformed JSON in request body", [], err.stack)
+    }
+    const status = err?.statusCode || err?.status
+    if (Number.isInteger(status) && status >= 400 && status < 500) {
+        return new ApiError(status, err.message, [], err.stack)
+    }
+
+    return new ApiError(500, err?.message || "Internal Server Error", [], err?.stack)
+}
+
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err)
+    }
+
+    const error = normalizeError(err)
+    const isProduction = process.env.NODE_ENV === "production"
+
+    if (error.statusCode >= 500) {
+        console.log("Unhandled error", err)
+    }
+
+    return res
+        .status(error.statusCode)
+        .json({
+            statusCode: error.statusCode,
+            data: null,
+            // internal messages can leak details, keep them out of production responses
+            message: isProduction && error.statusCode >= 500 ? "Internal Server Error" : error.message,
+            success: false,
+            errors: error.errors,
+            ...(isProduction ? {} : { stack: error.stack })
+        })
+}
+
+const notFound = (req, res, next) => {
+    next(new ApiError(404, `Route ${req.method} ${req.originalUrl} not found`))
+}
+
+export { errorHandler, notFound }
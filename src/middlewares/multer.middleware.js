@@ -1,14 +1,134 @@
 import multer from "multer";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { ApiError } from "../utils/ApiError.js";
+import { detectFileType } from "../utils/fileType.js";
+import { removeTempFile } from "../utils/storage/index.js";
+
+const TEMP_DIR = "./public/temp"
+const MB = 1024 * 1024
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"]
+const VIDEO_TYPES = ["video/mp4", "video/quicktime", "video/webm", "video/ogg", "video/x-msvideo", "video/x-matroska"]
+
+const imagePolicy = {
+    kind: "image",
+    label: "an image",
+    mimeTypes: IMAGE_TYPES,
+    maxSize: 5 * MB
+}
+
+// what every upload field accepts, a field that is not listed here is rejected
+const UPLOAD_POLICIES = {
+    avatar: imagePolicy,
+    coverImage: imagePolicy,
+    thumbnail: imagePolicy,
+    videoFile: {
+        kind: "video",
+        label: "a video",
+        mimeTypes: VIDEO_TYPES,
+        maxSize: (Number(process.env.MAX_VIDEO_UPLOAD_MB) || 500) * MB
+    }
+}
+
+fs.mkdirSync(TEMP_DIR, { recursive: true })
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, "./public/temp")
+    cb(null, TEMP_DIR)
   },
+  // never trust the client's file name, two uploads of "video.mp4" must not overwrite each other.
+  // no extension yet, it is added once the bytes told what the file really is
   filename: function (req, file, cb) {
-    cb(null, file.originalname)
+    cb(null, `${Date.now()}-${crypto.randomBytes(8).toString("hex")}`)
   }
 })
 
-export const upload = multer({ 
-    storage,
- })
\ No newline at end of file
+const fileFilter = (req, file, cb) => {
+    const policy = UPLOAD_POLICIES[file.fieldname]
+    if (!policy) {
+        return cb(new ApiError(400, `Unexpected file field "${file.fieldname}"`))
+    }
+    if (!policy.mimeTypes.includes(file.mimetype)) {
+        return cb(new ApiError(415, `${file.fieldname} must be ${policy.label} file`))
+    }
+    cb(null, true)
+}
+
+const multerErrorMessages = {
+    LIMIT_FILE_SIZE: [413, "File is too large"],
+    LIMIT_FILE_COUNT: [400, "Too many files"],
+    LIMIT_UNEXPECTED_FILE: [400, "Unexpected file field"],
+    LIMIT_PART_COUNT: [400, "Too many form parts"],
+    LIMIT_FIELD_COUNT: [400, "Too many form fields"]
+}
+
+const toApiError = (error) => {
+    if (error instanceof ApiError) return error
+    if (error instanceof multer.MulterError) {
+        const [status, message] = multerErrorMessages[error.code] || [400, error.message]
+        return new ApiError(status, error.field ? `${message}: ${error.field}` : message)
+    }
+    return error
+}
+
+const uploadedFiles = (req) => [
+    req.file,
+    ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())
+].filter(Boolean)
+
+// after multer wrote the files: per field size limit and a look at the real bytes
+const verifyUploadedFiles = async (req) => {
+    for (const file of uploadedFiles(req)) {
+        const policy = UPLOAD_POLICIES[file.fieldname]
+        if (file.size > policy.maxSize) {
+            throw new ApiError(413, `${file.fieldname} must be smaller than ${Math.round(policy.maxSize / MB)} MB`)
+        }
+        const detected = await detectFileType(file.path)
+        if (!detected || detected.kind !== policy.kind) {
+            throw new ApiError(415, `${file.fieldname} is not a valid ${policy.kind} file`)
+        }
+        file.detectedMimeType = detected.mime
+        // the stored file keeps this extension and is served by it, "avatar.html" with jpeg bytes stays a .jpg
+        const detectedPath = `${file.path}.${detected.extension}`
+        await fs.promises.rename(file.path, detectedPath)
+        file.path = detectedPath
+        file.filename = path.basename(detectedPath)
+    }
+}
+
+// one multer instance per route, its size cap is the biggest the route's fields allow
+const createUploader = (fieldNames, register) => {
+    const maxSize = Math.max(...fieldNames.map((name) => UPLOAD_POLICIES[name]?.maxSize || 0))
+    const middleware = register(multer({
+        storage,
+        fileFilter,
+        limits: {
+            fileSize: maxSize,
+            files: 5
+        }
+    }))
+
+    return (req, res, next) => {
+        middleware(req, res, (error) => {
+            if (error) return next(toApiError(error))
+            verifyUploadedFiles(req).then(() => next(), next)
+        })
+    }
+}
+
+// upload.single("avatar") and upload.fields([{ name: "videoFile", maxCount: 1 }, ...])
+export const upload = {
+    single: (name) => createUploader([name], (instance) => instance.single(name)),
+    fields: (fields) => createUploader(fields.map((field) => field.name), (instance) => instance.fields(fields))
+}
+
+// whatever happens to the request, files multer left in public/temp are removed once the response is done
+// (uploadFile already removes what it uploads, this catches the requests that failed before that)
+export const cleanupTempFiles = (req, res, next) => {
+    res.on("close", () => {
+        uploadedFiles(req).forEach((file) => removeTempFile(file.path))
+    })
+    next()
+}
@@ -0,0 +1,64 @@
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getRateLimitStore } from "../utils/rateLimit/index.js";
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback
+
+// counts requests per key inside a fixed window and answers 429 once `max` is passed
+//   name    prefix that keeps the counters of different limiters apart
+//   keyBy   (req) => string, "ip" by default, return nothing to skip the limiter
+const rateLimit = ({ name, windowMs, max, keyBy = (req) => req.ip }) => asyncHandler(async (req, res, next) => {
+    const key = keyBy(req)
+    if (!key) return next()
+
+    const { count, resetAt } = await getRateLimitStore().increment(`${name}:${key}`, windowMs)
+    const retryAfter = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1)
+
+    res.set("RateLimit-Limit", String(max))
+    res.set("RateLimit-Remaining", String(Math.max(max - count, 0)))
+    res.set("RateLimit-Reset", String(retryAfter))
+
+    if (count > max) {
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(429, `Too many requests, please try again in ${retryAfter} seconds`)
+    }
+    next()
+})
+
+// the account a login attempt is aimed at, so spreading attempts over many ips does not help
+const accountKey = (req) => (req.body?.email || req.body?.username)?.toString().toLowerCase()
+
+const WINDOW_MS = envNumber("RATE_LIMIT_WINDOW_MS", 15 * 60 * 1000)
+
+const loginIpLimiter = rateLimit({
+    name: "login-ip",
+    windowMs: WINDOW_MS,
+    max: envNumber("RATE_LIMIT_LOGIN_IP_MAX", 20)
+})
+
+const loginAccountLimiter = rateLimit({
+    name: "login-account",
+    windowMs: WINDOW_MS,
+    max: envNumber("RATE_LIMIT_LOGIN_ACCOUNT_MAX", 10),
+    keyBy: accountKey
+})
+
+const registerLimiter = rateLimit({
+    name: "register-ip",
+    windowMs: envNumber("RATE_LIMIT_REGISTER_WINDOW_MS", 60 * 60 * 1000),
+    max: envNumber("RATE_LIMIT_REGISTER_MAX", 10)
+})
+
+const refreshLimiter = rateLimit({
+    name: "refresh-ip",
+    windowMs: WINDOW_MS,
+    max: envNumber("RATE_LIMIT_REFRESH_MAX", 60)
+})
+
+export {
+    rateLimit,
+    loginIpLimiter,
+    loginAccountLimiter,
+    registerLimiter,
+    refreshLimiter
+}
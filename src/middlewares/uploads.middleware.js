@@ -0,0 +1,24 @@
+import path from "path";
+import express from "express";
+import { ApiError } from "../utils/ApiError.js";
+import { UPLOADS_DIR, PUBLIC_UPLOAD_FOLDERS } from "../utils/storage/local.driver.js";
+
+const serveUploads = express.static(UPLOADS_DIR, { index: false })
+
+// the local storage driver keeps its files outside public/, this is the only static route to them:
+// images are served, anything else (videos, HLS) answers 404
+// and has to go through GET /videos/:videoId/stream, which checks who may watch it
+export const servePublicUploads = (req, res, next) => {
+    // checked on the path the way express.static will read it, "/avatars/../videos/x.mp4" is a video
+    let filePath
+    try {
+        filePath = path.posix.normalize(decodeURIComponent(req.path))
+    } catch (error) {
+        return next(new ApiError(400, "Invalid file path"))
+    }
+    const folder = filePath.split("/")[1]
+    if (!PUBLIC_UPLOAD_FOLDERS.includes(folder)) {
+        return next(new ApiError(404, "File not found"))
+    }
+    serveUploads(req, res, (error) => next(error || new ApiError(404, "File not found")))
+}
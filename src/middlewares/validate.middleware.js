@@ -0,0 +1,108 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+
+// declarative request validation
+//
+// router.route("/login").post(validate({ body: loginSchema }), loginUser)
+//
+// a schema maps field names to rules:
+//   type            "string" | "number" | "integer" | "boolean" | "objectId" | "email"
+//   required        field must be present and not blank
+//   requiredWithout name of a sibling field, one of the two must be present
+//   minLength, maxLength, min, max, oneOf
+//   pattern         RegExp the value must match, `message` explains it
+//   custom          (value, data) => error message or nothing
+//
+// every problem is collected and sent back as one 422 with an `errors` array
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const isBlank = (value) =>
+    value === undefined || value === null || (typeof value === "string" && value.trim() === "")
+
+// query strings and multipart bodies hand us strings, so numbers and booleans may arrive as text
+const checkType = (type, value) => {
+    switch (type) {
+        case "string":
+            return typeof value === "string" ? null : "must be a string"
+        case "email":
+            return typeof value === "string" && EMAIL_REGEX.test(value.trim()) ? null : "must be a valid email address"
+        case "objectId":
+            return isValidObjectId(value) ? null : "must be a valid id"
+        case "number":
+            return value !== "" && !Number.isNaN(Number(value)) ? null : "must be a number"
+        case "integer":
+            return Number.isInteger(Number(value)) && value !== "" ? null : "must be an integer"
+        case "boolean":
+            return [true, false, "true", "false"].includes(value) ? null : "must be true or false"
+        default:
+            return null
+    }
+}
+
+const checkField = (name, rules, data) => {
+    const value = data?.[name]
+
+    if (isBlank(value)) {
+        if (rules.required) return `${name} is required`
+        if (rules.requiredWithout && isBlank(data?.[rules.requiredWithout])) {
+            return `${name} or ${rules.requiredWithout} is required`
+        }
+        return null
+    }
+
+    const typeError = rules.type && checkType(rules.type, value)
+    if (typeError) return `${name} ${typeError}`
+
+    if (typeof value === "string") {
+        const length = value.trim().length
+        if (rules.minLength !== undefined && length < rules.minLength) {
+            return `${name} must be at least ${rules.minLength} characters`
+        }
+        if (rules.maxLength !== undefined && length > rules.maxLength) {
+            return `${name} must be at most ${rules.maxLength} characters`
+        }
+    }
+
+    if (["number", "integer"].includes(rules.type)) {
+        if (rules.min !== undefined && Number(value) < rules.min) return `${name} must be at least ${rules.min}`
+        if (rules.max !== undefined && Number(value) > rules.max) return `${name} must be at most ${rules.max}`
+    }
+
+    if (rules.oneOf && !rules.oneOf.includes(value)) {
+        return `${name} must be one of ${rules.oneOf.join(", ")}`
+    }
+
+    if (rules.pattern && !rules.pattern.test(String(value))) {
+        return rules.message || `${name} has an invalid format`
+    }
+
+    if (rules.custom) {
+        return rules.custom(value, data) || null
+    }
+
+    return null
+}
+
+const validate = (schemas) => (req, res, next) => {
+    const errors = []
+
+    for (const location of ["params", "query", "body"]) {
+        const schema = schemas[location]
+        if (!schema) continue
+
+        for (const [field, rules] of Object.entries(schema)) {
+            const message = checkField(field, rules, req[location])
+            if (message) {
+                errors.push({ location, field, message })
+            }
+        }
+    }
+
+    if (errors.length) {
+        return next(new ApiError(422, "Validation failed", errors))
+    }
+    next()
+}
+
+export { validate }
@@ -0,0 +1,99 @@
+import mongoose, {Schema} from "mongoose";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { hashToken } from "../utils/tokens.js";
+
+export const AUTH_TOKEN_PURPOSES = ["email-verification", "password-reset", "two-factor-login"]
+
+// single use tokens that are mailed to the user, or handed out by a login that still needs its second factor
+// the token itself is a signed jwt so it carries its purpose and expiry,
+// we keep only its hash here to be able to burn it once it is used
+const authTokenSchema = new Schema({
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    purpose:{
+        type: String,
+        enum: AUTH_TOKEN_PURPOSES,
+        required: true
+    },
+    tokenHash:{
+        type: String,
+        required: true,
+        unique: true
+    },
+    usedAt:{
+        type: Date,
+        default: null
+    },
+    expiresAt:{
+        type: Date,
+        required: true
+    }
+},{
+    timestamps: true
+})
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// creates a new token and invalidates the older unused ones of the same purpose
+authTokenSchema.statics.issue = async function (userId, purpose, expiresIn){
+    const token = jwt.sign(
+        {
+            _id: userId,
+            purpose,
+            jti: crypto.randomUUID()
+        },
+        process.env.AUTH_TOKEN_SECRET,
+        {
+            expiresIn
+        }
+    )
+
+    await this.updateMany(
+        { user: userId, purpose, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    )
+    await this.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(jwt.decode(token).exp * 1000)
+    })
+
+    return token
+}
+
+const decodeToken = (token, purpose) => {
+    let decodedToken
+    try {
+        decodedToken = jwt.verify(token, process.env.AUTH_TOKEN_SECRET)
+    } catch (error) {
+        return null
+    }
+    return decodedToken?.purpose === purpose ? decodedToken : null
+}
+
+// returns the user id the token was issued for without using it up, or null when it is forged, expired or already used
+authTokenSchema.statics.check = async function (token, purpose){
+    if (!decodeToken(token, purpose)) return null
+
+    const authToken = await this.findOne({ tokenHash: hashToken(token), purpose, usedAt: null })
+    return authToken ? authToken.user : null
+}
+
+// returns the user id the token was issued for, or null when it is forged, expired or already used
+authTokenSchema.statics.consume = async function (token, purpose){
+    if (!decodeToken(token, purpose)) return null
+
+    const authToken = await this.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    )
+    return authToken ? authToken.user : null
+}
+
+export const AuthToken = mongoose.model("AuthToken", authTokenSchema)
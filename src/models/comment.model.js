@@ -0,0 +1,33 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
+
+const commentSchema = new Schema({
+    content:{
+        type: String,
+        required: true,
+        trim: true
+    },
+    video:{
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    owner:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    parentComment:{
+        type: Schema.Types.ObjectId,        // null for top level comments, replies go only one level deep
+        ref: "Comment",
+        default: null
+    }
+},{
+    timestamps: true
+})
+
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 })
+
+commentSchema.plugin(mongooseAggregatePaginate)
+
+export const Comment = mongoose.model("Comment", commentSchema)
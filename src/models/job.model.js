@@ -0,0 +1,54 @@
+import mongoose, {Schema} from "mongoose";
+
+// background work that has to survive a restart, see utils/jobs/queue.js
+const jobSchema = new Schema({
+    type:{
+        type: String,
+        required: true
+    },
+    payload:{
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    status:{
+        type: String,
+        enum: ["queued", "running", "completed", "failed"],
+        default: "queued"
+    },
+    attempts:{
+        type: Number,
+        default: 0
+    },
+    maxAttempts:{
+        type: Number,
+        default: 3
+    },
+    // a queued job is not picked up before this, used for retries with backoff
+    runAt:{
+        type: Date,
+        default: Date.now
+    },
+    // which worker holds the job and until when, a crashed worker's jobs are picked up again after that
+    lockedBy:{
+        type: String,
+        default: null
+    },
+    lockedUntil:{
+        type: Date,
+        default: null
+    },
+    lastError:{
+        type: String,
+        default: ""
+    },
+    completedAt:{
+        type: Date
+    }
+},{
+    timestamps: true
+})
+
+jobSchema.index({ status: 1, runAt: 1 })
+jobSchema.index({ status: 1, lockedUntil: 1 })
+
+export const Job = mongoose.model("Job", jobSchema)
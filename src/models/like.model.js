@@ -0,0 +1,32 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
+
+export const LIKE_TARGET_TYPES = ["Video", "Comment", "Tweet"]
+
+// one collection for every likeable thing, targetType tells which model target points to
+const likeSchema = new Schema({
+    target:{
+        type: Schema.Types.ObjectId,
+        refPath: "targetType",
+        required: true
+    },
+    targetType:{
+        type: String,
+        enum: LIKE_TARGET_TYPES,
+        required: true
+    },
+    likedBy:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    }
+},{
+    timestamps: true
+})
+
+likeSchema.index({ target: 1, targetType: 1, likedBy: 1 }, { unique: true })
+likeSchema.index({ likedBy: 1, targetType: 1, createdAt: -1 })
+
+likeSchema.plugin(mongooseAggregatePaginate)
+
+export const Like = mongoose.model("Like", likeSchema)
@@ -0,0 +1,63 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
+
+// append only audit trail of every decision taken by staff
+const moderationLogSchema = new Schema({
+    actor:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    action:{
+        type: String,
+        enum: [
+            "user.suspend",
+            "user.ban",
+            "user.reinstate",
+            "user.role",
+            "video.unpublish",
+            "video.restore",
+            "report.resolve",
+            "report.dismiss"
+        ],
+        required: true
+    },
+    targetType:{
+        type: String,
+        enum: ["User", "Video", "Comment", "Report"],
+        required: true
+    },
+    target:{
+        type: Schema.Types.ObjectId,
+        refPath: "targetType",
+        required: true
+    },
+    reason:{
+        type: String,
+        default: ""
+    },
+    metadata:{
+        type: Schema.Types.Mixed,
+        default: {}
+    }
+},{
+    timestamps: { createdAt: true, updatedAt: false }
+})
+
+moderationLogSchema.index({ createdAt: -1 })
+moderationLogSchema.index({ targetType: 1, target: 1, createdAt: -1 })
+
+moderationLogSchema.plugin(mongooseAggregatePaginate)
+
+moderationLogSchema.statics.record = function(staff, action, targetType, target, reason = "", metadata = {}){
+    return this.create({
+        actor: staff._id,
+        action,
+        targetType,
+        target,
+        reason,
+        metadata
+    })
+}
+
+export const ModerationLog = mongoose.model("ModerationLog", moderationLogSchema)
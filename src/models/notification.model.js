@@ -0,0 +1,61 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
+
+// video      a subscribed channel published a video
+// comment    someone commented on your video
+// reply      someone replied to your comment
+// like       someone liked your video, comment or tweet
+// subscribe  someone subscribed to your channel
+export const NOTIFICATION_TYPES = ["video", "comment", "reply", "like", "subscribe"]
+
+const NOTIFICATION_TTL_DAYS = 90
+
+const notificationSchema = new Schema({
+    recipient:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    actor:{
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    type:{
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    target:{
+        type: Schema.Types.ObjectId,
+        refPath: "targetType"
+    },
+    targetType:{
+        type: String,
+        enum: ["Video", "Comment", "Tweet", "User"]
+    },
+    video:{
+        type: Schema.Types.ObjectId,        // set when it happened on a video, so the client can link to it
+        ref: "Video"
+    },
+    readAt:{
+        type: Date,
+        default: null
+    }
+},{
+    timestamps: true
+})
+
+notificationSchema.index({ recipient: 1, _id: -1 })
+notificationSchema.index({ recipient: 1, readAt: 1 })
+notificationSchema.index({ target: 1, type: 1 })
+// a retried fan-out must not tell a subscriber twice about the same video
+notificationSchema.index(
+    { recipient: 1, type: 1, target: 1 },
+    { unique: true, partialFilterExpression: { type: "video" } }
+)
+// old notifications are of no use to anyone
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 })
+
+notificationSchema.plugin(mongooseAggregatePaginate)
+
+export const Notification = mongoose.model("Notification", notificationSchema)
@@ -0,0 +1,35 @@
+import mongoose, {Schema} from "mongoose";
+
+// one pending OAuth login, created when the user is sent to the provider and burnt on the callback
+// only the hash of `state` is kept, the raw value travels in the url and in a cookie
+const oauthStateSchema = new Schema({
+    stateHash:{
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider:{
+        type: String,
+        required: true
+    },
+    codeVerifier:{
+        type: String,           // PKCE, sent with the code so a stolen code is useless on its own
+        required: true
+    },
+    nonce:{
+        type: String,
+        required: true
+    },
+    redirectTo:{
+        type: String,
+        default: ""
+    },
+    expiresAt:{
+        type: Date,
+        required: true
+    }
+});
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const OAuthState = mongoose.model("OAuthState", oauthStateSchema)
@@ -0,0 +1,38 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
+
+const playlistSchema = new Schema({
+    name:{
+        type: String,
+        required: true,
+        trim: true
+    },
+    description:{
+        type: String,
+        trim: true,
+        default: ""
+    },
+    videos: [
+        {
+            type: Schema.Types.ObjectId,        // kept in the order the owner arranged them
+            ref: "Video"
+        }
+    ],
+    owner:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    isPrivate:{
+        type: Boolean,
+        default: false
+    }
+},{
+    timestamps: true
+})
+
+playlistSchema.index({ owner: 1, updatedAt: -1 })
+
+playlistSchema.plugin(mongooseAggregatePaginate)
+
+export const Playlist = mongoose.model("Playlist", playlistSchema)
@@ -0,0 +1,22 @@
+import mongoose, {Schema} from "mongoose";
+
+// hit counters of the mongo rate limit store, shared by every running instance
+const rateLimitSchema = new Schema({
+    key:{
+        type: String,
+        required: true,
+        unique: true
+    },
+    count:{
+        type: Number,
+        default: 0
+    },
+    expiresAt:{
+        type: Date,
+        required: true
+    }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema)
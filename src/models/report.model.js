@@ -0,0 +1,60 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
+
+export const REPORT_TARGET_TYPES = ["Video", "Comment", "User"]
+export const REPORT_REASONS = ["spam", "harassment", "hate", "violence", "sexual", "copyright", "misinformation", "other"]
+export const REPORT_STATUSES = ["open", "resolved", "dismissed"]
+
+const reportSchema = new Schema({
+    target:{
+        type: Schema.Types.ObjectId,
+        refPath: "targetType",          // a reported "User" is a channel
+        required: true
+    },
+    targetType:{
+        type: String,
+        enum: REPORT_TARGET_TYPES,
+        required: true
+    },
+    reason:{
+        type: String,
+        enum: REPORT_REASONS,
+        required: true
+    },
+    details:{
+        type: String,
+        trim: true,
+        default: ""
+    },
+    reporter:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    status:{
+        type: String,
+        enum: REPORT_STATUSES,
+        default: "open"
+    },
+    handledBy:{
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    handledAt:{
+        type: Date
+    },
+    resolutionNote:{
+        type: String,
+        default: ""
+    }
+},{
+    timestamps: true
+})
+
+// a user can report the same thing only once
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 }, { unique: true })
+reportSchema.index({ status: 1, createdAt: -1 })
+
+reportSchema.plugin(mongooseAggregatePaginate)
+
+export const Report = mongoose.model("Report", reportSchema)
@@ -0,0 +1,48 @@
+import mongoose, {Schema} from "mongoose";
+
+// one session per logged in device, every refresh token handed out to that device
+// belongs to it, so reusing an old token lets us revoke the whole family at once
+const sessionSchema = new Schema({
+    user:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    refreshTokenHash:{
+        type: String,           // sha256 of the only refresh token that is still valid
+        required: true
+    },
+    userAgent:{
+        type: String,
+        default: ""
+    },
+    ip:{
+        type: String,
+        default: ""
+    },
+    lastUsedAt:{
+        type: Date,
+        default: Date.now
+    },
+    expiresAt:{
+        type: Date,
+        required: true
+    },
+    revokedAt:{
+        type: Date,
+        default: null
+    },
+    revokedReason:{
+        type: String,
+        enum: ["logout", "logout-all", "revoked", "reuse-detected", "password-reset", null],
+        default: null
+    }
+},{
+    timestamps: true
+})
+
+// expired sessions are of no use, let mongo drop them
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const Session = mongoose.model("Session", sessionSchema)
@@ -1,14 +1,23 @@
 import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
 
 const subscriptionSchema = new Schema({
     subscriber:{
-        type: Schema.Types.ObjectId,
-        ref: "User"
+        type: Schema.Types.ObjectId,        // one who is subscribing
+        ref: "User",
+        required: true
     },
     channel:{
-        type: Schema.Types.ObjectId,
-        ref: "User"
+        type: Schema.Types.ObjectId,        // one to whom subscriber is subscribing
+        ref: "User",
+        required: true
     }
-}, {timeStanps: true});
+}, {timestamps: true});
 
-export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
+// a user can follow a channel only once
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true })
+subscriptionSchema.index({ channel: 1, createdAt: -1 })
+
+subscriptionSchema.plugin(mongooseAggregatePaginate)
+
+export const Subscription = mongoose.model("Subscription", subscriptionSchema)
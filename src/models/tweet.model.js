@@ -0,0 +1,26 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
+
+const tweetSchema = new Schema({
+    content:{
+        type: String,
+        required: true,
+        trim: true
+    },
+    owner:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    }
+},{
+    timestamps: true
+})
+
+// serves both the per-user listing and the cursor based timeline
+tweetSchema.index({ owner: 1, createdAt: -1, _id: -1 })
+
+tweetSchema.index({ content: "text" }, { name: "tweet_text_search" })
+
+tweetSchema.plugin(mongooseAggregatePaginate)
+
+export const Tweet = mongoose.model("Tweet", tweetSchema)
@@ -1,6 +1,26 @@
 import mongoose, {Schema} from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
+import { NOTIFICATION_TYPES } from "./notification.model.js";
+
+export const USER_ROLES = ["user", "moderator", "admin"]
+export const USER_STATUSES = ["active", "suspended", "banned"]
+
+// query form of isSuspended() below: matches the users that are not suspended right now,
+// a suspension whose end date passed counts as over. uses $nor so callers can still add their own $or
+export const notSuspendedUserMatch = (now = new Date()) => ({
+    $nor: [
+        { status: "banned" },
+        { status: "suspended", suspendedUntil: null },
+        { status: "suspended", suspendedUntil: { $gt: now } }
+    ]
+})
+
+function hasNoSocialLogin() {
+    return !this.oauthAccounts?.length
+}
 
 const userSchema = new Schema({
     username:{
@@ -25,8 +45,8 @@ const userSchema = new Schema({
         index: true
     },
     avatar:{
-        type: String,               //claudinary url
-        required: true
+        type: String,               //claudinary url, or the provider's picture for social logins
+        required: [hasNoSocialLogin, "Avatar is required"]
     },
     coverImage:{
         type: String,               //claudinary url
@@ -38,17 +58,104 @@ const userSchema = new Schema({
         }
     ],
     password:{
+        type: String,               // accounts created through a social login have none until they reset it
+        required: [hasNoSocialLogin, "Password is required"]
+    },
+    // identities at OAuth / OpenID Connect providers that log into this account
+    oauthAccounts: [
+        {
+            _id: false,
+            provider: { type: String, required: true },
+            subject: { type: String, required: true },        // the provider's stable user id, "sub"
+            email: { type: String },
+            linkedAt: { type: Date, default: Date.now }
+        }
+    ],
+    isEmailVerified:{
+        type: Boolean,
+        default: false
+    },
+    failedLoginAttempts:{
+        type: Number,
+        default: 0
+    },
+    lockUntil:{
+        type: Date,
+        default: null
+    },
+    role:{
         type: String,
-        required: [true, "Password is required"]
+        enum: USER_ROLES,
+        default: "user"
     },
-    refreshToken:{
+    status:{
         type: String,
-    }
+        enum: USER_STATUSES,
+        default: "active"
+    },
+    suspendedUntil:{
+        type: Date,             // null with status "suspended" means until lifted by staff
+        default: null
+    },
+    statusReason:{
+        type: String,
+        default: ""
+    },
+    // totp second factor, the secrets never leave the database unless asked for with select("+twoFactor...")
+    twoFactor:{
+        enabled:{
+            type: Boolean,
+            default: false
+        },
+        secret:{
+            type: String,           // encrypted, see utils/totp.js
+            select: false
+        },
+        pendingSecret:{
+            type: String,           // set up but not confirmed with a code yet
+            select: false
+        },
+        recoveryCodes:{
+            type: [String],         // sha256 hashes, each one works once
+            select: false
+        },
+        lastUsedStep:{
+            type: Number,           // a code is accepted only once
+            default: null
+        },
+        enabledAt:{
+            type: Date,
+            default: null
+        }
+    },
+    mutedNotificationTypes: [
+        {
+            type: String,
+            enum: NOTIFICATION_TYPES
+        }
+    ]
 },
 {
     timestamps: true
 })
 
+// a provider identity belongs to one account only
+userSchema.index(
+    { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+    { unique: true, partialFilterExpression: { "oauthAccounts.subject": { $exists: true } } }
+)
+
+// GET /feed/recommended looks for users who watched the same videos
+userSchema.index({ watchHistory: 1 })
+
+// used by GET /search to find channels
+userSchema.index(
+    { username: "text", fullname: "text" },
+    { weights: { username: 3, fullname: 2 }, name: "user_text_search" }
+)
+
+userSchema.plugin(mongooseAggregatePaginate)
+
 userSchema.pre("save", async function (next) {
     if(!this.isModified("password")) return next();
 
@@ -57,16 +164,58 @@ userSchema.pre("save", async function (next) {
 })
 
 userSchema.methods.isPasswordCorrect = async function (password){
+    if (!this.password) return false
     return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function(){
+// after LOCKOUT_THRESHOLD wrong passwords the account locks for LOCKOUT_BASE_MS,
+// every further failure doubles the lock up to LOCKOUT_MAX_MS
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5
+const LOCKOUT_BASE_MS = Number(process.env.LOGIN_LOCKOUT_BASE_MS) || 60 * 1000
+const LOCKOUT_MAX_MS = Number(process.env.LOGIN_LOCKOUT_MAX_MS) || 24 * 60 * 60 * 1000
+
+// a suspension with an end date simply runs out, bans never do
+userSchema.methods.isSuspended = function(){
+    if (this.status === "banned") return true
+    if (this.status !== "suspended") return false
+    return !this.suspendedUntil || this.suspendedUntil > Date.now()
+}
+
+userSchema.methods.isLocked = function(){
+    return Boolean(this.lockUntil && this.lockUntil > Date.now())
+}
+
+userSchema.methods.registerFailedLogin = async function(){
+    const user = await this.constructor.findByIdAndUpdate(
+        this._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    )
+    const extraFailures = user.failedLoginAttempts - LOCKOUT_THRESHOLD
+    if (extraFailures >= 0) {
+        const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** extraFailures, LOCKOUT_MAX_MS)
+        user.lockUntil = new Date(Date.now() + lockMs)
+        await user.save({ validateBeforeSave: false })
+    }
+    return user
+}
+
+userSchema.methods.resetLoginAttempts = async function(){
+    if (!this.failedLoginAttempts && !this.lockUntil) return
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { failedLoginAttempts: 0, lockUntil: null } }
+    )
+}
+
+userSchema.methods.generateAccessToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
             username: this.username,
             email: this.email,
-            fullname: this.fullname
+            fullname: this.fullname,
+            sid: sessionId
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -75,10 +224,12 @@ userSchema.methods.generateAccessToken = function(){
     )
 }
 
-userSchema.methods.generateRefreshToken = function(){
+userSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
-            _id: this._id
+            _id: this._id,
+            sid: sessionId,
+            jti: crypto.randomUUID()        // makes every rotated token unique
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -7,8 +7,8 @@ const videoSchema = new Schema({
         required: true
     },
     thumbnail:{
-        type: String,               //claudinary url
-        required: true
+        type: String,               //claudinary url, generated by processing when none was uploaded
+        default: ""
     },
     title:{
         type: String,
@@ -21,8 +21,8 @@ const videoSchema = new Schema({
         trim: true,
     },
     duration:{
-        type: Number,            //cloudinary url
-        required: true
+        type: Number,            //seconds, probed by processing
+        default: 0
     },
     views:{
         type: Number,
@@ -32,6 +32,51 @@ const videoSchema = new Schema({
         type: Boolean,
         default: true
     },
+    // recomputed by the trending job in utils/jobs/trending.job.js
+    trendingScore:{
+        type: Number,
+        default: 0
+    },
+    trendingComputedAt:{
+        type: Date
+    },
+    // when subscribers were told about the video, they hear about it only once
+    subscribersNotifiedAt:{
+        type: Date,
+        default: null
+    },
+    moderation:{
+        // set when staff force-unpublish a video, the owner cannot publish it again until it is lifted
+        isBlocked: { type: Boolean, default: false },
+        reason: { type: String, default: "" },
+        blockedBy: { type: Schema.Types.ObjectId, ref: "User" },
+        blockedAt: { type: Date }
+    },
+    // new uploads start as "queued", the background job in utils/jobs/videoProcessing.job.js moves them on,
+    // videos uploaded before it existed have no status and count as ready
+    processingStatus:{
+        type: String,
+        enum: ["queued", "processing", "ready", "failed"],
+        default: "ready"
+    },
+    processingError:{
+        type: String,
+        default: ""
+    },
+    hls:{
+        folder: { type: String },
+        masterPlaylist: { type: String },
+        renditions: [
+            {
+                _id: false,
+                name: String,
+                width: Number,
+                height: Number,
+                bandwidth: Number,
+                playlist: String
+            }
+        ]
+    },
     owner:{
         type: Schema.Types.ObjectId,
         ref: "User",
@@ -41,6 +86,45 @@ const videoSchema = new Schema({
     timestamps: true
 })
 
+// used by GET /search, titles weigh more than descriptions
+videoSchema.index(
+    { title: "text", description: "text" },
+    { weights: { title: 5, description: 1 }, name: "video_text_search" }
+)
+
+// GET /feed/trending
+videoSchema.index({ trendingScore: -1, views: -1 })
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
+// listings skip videos that are still waiting for or in processing, they have no thumbnail or duration yet.
+// a failed video is listed anyway and plays its uploaded file, the owner sees the error and can retry
+export const PROCESSED_VIDEO_MATCH = { processingStatus: { $nin: ["queued", "processing"] } }
+
+export const isVideoProcessed = (video) => !["queued", "processing"].includes(video.processingStatus)
+
+// unpublished videos behave as if they do not exist for everyone but the owner, for playback,
+// comments and likes alike. a published one plays its uploaded file until (or when) processing did not produce HLS
+export const isVideoVisibleTo = (video, userId) =>
+    video.owner.toString() === userId?.toString() || Boolean(video.isPublished)
+
+// force-unpublish by staff, the owner cannot publish again until the block is lifted
+videoSchema.statics.blockByModeration = function(videoId, staffId, reason){
+    return this.findByIdAndUpdate(
+        videoId,
+        {
+            $set: {
+                isPublished: false,
+                moderation: {
+                    isBlocked: true,
+                    reason,
+                    blockedBy: staffId,
+                    blockedAt: new Date()
+                }
+            }
+        },
+        { new: true }
+    )
+}
+
 export const Video = mongoose.model("Video", videoSchema);
\ No newline at end of file
@@ -0,0 +1,27 @@
+import mongoose, {Schema} from "mongoose";
+import { VIEW_COUNT_WINDOW_SECONDS } from "../constants.js";
+
+// remembers when a user last counted as a view on a video
+// so the same person replaying a video does not inflate Video.views
+const viewSchema = new Schema({
+    video:{
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    viewer:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    viewedAt:{
+        type: Date,
+        default: Date.now
+    }
+});
+
+viewSchema.index({ video: 1, viewer: 1 }, { unique: true })
+// once the window is over the record is useless, let mongo clean it up
+viewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: VIEW_COUNT_WINDOW_SECONDS })
+
+export const View = mongoose.model("View", viewSchema)
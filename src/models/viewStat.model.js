@@ -0,0 +1,30 @@
+import mongoose, {Schema} from "mongoose";
+
+// one counter per video per UTC day, feeds the creator dashboard charts
+const viewStatSchema = new Schema({
+    video:{
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    owner:{
+        type: Schema.Types.ObjectId,        // copied from the video so a channel's days can be summed directly
+        ref: "User",
+        required: true
+    },
+    day:{
+        type: Date,
+        required: true
+    },
+    views:{
+        type: Number,
+        default: 0
+    }
+});
+
+viewStatSchema.index({ video: 1, day: 1 }, { unique: true })
+viewStatSchema.index({ owner: 1, day: 1 })
+// the trending job reads the last days of every video
+viewStatSchema.index({ day: 1 })
+
+export const ViewStat = mongoose.model("ViewStat", viewStatSchema)
@@ -0,0 +1,31 @@
+import { Router } from "express";
+import { getUsers, suspendUser, banUser, reinstateUser, changeUserRole, forceUnpublishVideo, restoreVideo } from "../controllers/admin.controller.js";
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js";
+import { getReports, resolveReport, dismissReport, getModerationLog } from "../controllers/report.controller.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { getUsersQuery, suspendUserSchema, banUserSchema, changeRoleSchema, moderateVideoSchema } from "../validators/admin.validator.js";
+import { getReportsQuery, resolveReportSchema, dismissReportSchema, moderationLogQuery } from "../validators/report.validator.js";
+import { objectIdParam } from "../validators/common.validator.js";
+
+const router = Router();
+
+// moderators and admins only, a few actions below are admin only
+router.use(verifyJWT, authorize("moderator", "admin"))
+
+router.route("/users").get(validate({ query: getUsersQuery }), getUsers)
+
+router.route("/users/:userId/suspend").patch(validate({ params: objectIdParam("userId"), body: suspendUserSchema }), suspendUser)
+router.route("/users/:userId/reinstate").patch(validate({ params: objectIdParam("userId") }), reinstateUser)
+router.route("/users/:userId/ban").patch(authorize("admin"), validate({ params: objectIdParam("userId"), body: banUserSchema }), banUser)
+router.route("/users/:userId/role").patch(authorize("admin"), validate({ params: objectIdParam("userId"), body: changeRoleSchema }), changeUserRole)
+
+router.route("/videos/:videoId/unpublish").patch(validate({ params: objectIdParam("videoId"), body: moderateVideoSchema }), forceUnpublishVideo)
+router.route("/videos/:videoId/restore").patch(validate({ params: objectIdParam("videoId") }), restoreVideo)
+
+router.route("/reports").get(validate({ query: getReportsQuery }), getReports)
+router.route("/reports/:reportId/resolve").patch(validate({ params: objectIdParam("reportId"), body: resolveReportSchema }), resolveReport)
+router.route("/reports/:reportId/dismiss").patch(validate({ params: objectIdParam("reportId"), body: dismissReportSchema }), dismissReport)
+
+router.route("/audit-log").get(validate({ query: moderationLogQuery }), getModerationLog)
+
+export default router;
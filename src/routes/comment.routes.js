@@ -0,0 +1,26 @@
+import { Router } from "express";
+import { getVideoComments, getCommentReplies, addComment, updateComment, deleteComment } from "../controllers/comment.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { commentSchema, updateCommentSchema } from "../validators/comment.validator.js";
+import { objectIdParam, paginationQuery } from "../validators/common.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router
+    .route("/:videoId")
+    .all(validate({ params: objectIdParam("videoId") }))
+    .get(validate({ query: paginationQuery }), getVideoComments)
+    .post(validate({ body: commentSchema }), addComment)
+
+router
+    .route("/c/:commentId")
+    .all(validate({ params: objectIdParam("commentId") }))
+    .patch(validate({ body: updateCommentSchema }), updateComment)
+    .delete(deleteComment)
+
+router.route("/c/:commentId/replies").get(validate({ params: objectIdParam("commentId"), query: paginationQuery }), getCommentReplies)
+
+export default router;
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { getChannelStats, getChannelVideos, getChannelTimeSeries } from "../controllers/dashboard.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { channelVideosQuery, timeSeriesQuery } from "../validators/dashboard.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router.route("/stats").get(getChannelStats)
+router.route("/videos").get(validate({ query: channelVideosQuery }), getChannelVideos)
+router.route("/timeseries").get(validate({ query: timeSeriesQuery }), getChannelTimeSeries)
+
+export default router;
@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { getRecommendedVideos, getTrendingVideos } from "../controllers/feed.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { paginationQuery } from "../validators/common.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router.route("/recommended").get(validate({ query: paginationQuery }), getRecommendedVideos)
+router.route("/trending").get(validate({ query: paginationQuery }), getTrendingVideos)
+
+export default router;
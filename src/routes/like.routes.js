@@ -0,0 +1,16 @@
+import { Router } from "express";
+import { toggleVideoLike, toggleCommentLike, toggleTweetLike, getLikedVideos } from "../controllers/like.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { objectIdParam, paginationQuery } from "../validators/common.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router.route("/toggle/v/:videoId").post(validate({ params: objectIdParam("videoId") }), toggleVideoLike)
+router.route("/toggle/c/:commentId").post(validate({ params: objectIdParam("commentId") }), toggleCommentLike)
+router.route("/toggle/t/:tweetId").post(validate({ params: objectIdParam("tweetId") }), toggleTweetLike)
+router.route("/videos").get(validate({ query: paginationQuery }), getLikedVideos)
+
+export default router;
@@ -0,0 +1,24 @@
+import { Router } from "express";
+import { getNotifications, getUnreadCount, markNotificationRead, markAllNotificationsRead, getNotificationPreferences, updateNotificationPreferences, streamNotifications } from "../controllers/notification.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { getNotificationsQuery, streamQuery, preferencesSchema } from "../validators/notification.validator.js";
+import { objectIdParam } from "../validators/common.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router.route("/").get(validate({ query: getNotificationsQuery }), getNotifications)
+router.route("/stream").get(validate({ query: streamQuery }), streamNotifications)
+router.route("/unread-count").get(getUnreadCount)
+router.route("/read-all").patch(markAllNotificationsRead)
+
+router
+    .route("/preferences")
+    .get(getNotificationPreferences)
+    .patch(validate({ body: preferencesSchema }), updateNotificationPreferences)
+
+router.route("/:notificationId/read").patch(validate({ params: objectIdParam("notificationId") }), markNotificationRead)
+
+export default router;
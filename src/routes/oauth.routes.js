@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { getOAuthProviders, startOAuthLogin, handleOAuthCallback } from "../controllers/oauth.controller.js";
+import { loginIpLimiter } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { providerParam, authorizeQuery, callbackQuery } from "../validators/oauth.validator.js";
+
+const router = Router();
+
+// the browser is sent here, no token yet
+router.route("/providers").get(getOAuthProviders)
+router.route("/:provider/authorize").get(validate({ params: providerParam, query: authorizeQuery }), startOAuthLogin)
+router.route("/:provider/callback").get(loginIpLimiter, validate({ params: providerParam, query: callbackQuery }), handleOAuthCallback)
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router } from "express";
+import { createPlaylist, getUserPlaylists, getPlaylistById, addVideoToPlaylist, removeVideoFromPlaylist, moveVideoInPlaylist, updatePlaylist, deletePlaylist } from "../controllers/playlist.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { createPlaylistSchema, updatePlaylistSchema, moveVideoSchema } from "../validators/playlist.validator.js";
+import { objectIdParam, paginationQuery } from "../validators/common.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router.route("/").post(validate({ body: createPlaylistSchema }), createPlaylist)
+router.route("/user/:userId").get(validate({ params: objectIdParam("userId"), query: paginationQuery }), getUserPlaylists)
+
+router
+    .route("/:playlistId")
+    .all(validate({ params: objectIdParam("playlistId") }))
+    .get(getPlaylistById)
+    .patch(validate({ body: updatePlaylistSchema }), updatePlaylist)
+    .delete(deletePlaylist)
+
+router.route("/add/:videoId/:playlistId").patch(validate({ params: objectIdParam("videoId", "playlistId") }), addVideoToPlaylist)
+router.route("/remove/:videoId/:playlistId").patch(validate({ params: objectIdParam("videoId", "playlistId") }), removeVideoFromPlaylist)
+router.route("/move/:videoId/:playlistId").patch(validate({ params: objectIdParam("videoId", "playlistId"), body: moveVideoSchema }), moveVideoInPlaylist)
+
+export default router;
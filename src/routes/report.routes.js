@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { submitReport } from "../controllers/report.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { submitReportSchema } from "../validators/report.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router.route("/").post(validate({ body: submitReportSchema }), submitReport)
+
+export default router;
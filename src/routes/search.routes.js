@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { search, getSuggestions } from "../controllers/search.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { searchQuery, suggestionsQuery } from "../validators/search.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router.route("/").get(validate({ query: searchQuery }), search)
+router.route("/suggestions").get(validate({ query: suggestionsQuery }), getSuggestions)
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from "express";
+import { toggleSubscription, getUserChannelSubscribers, getSubscribedChannels } from "../controllers/subscription.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { objectIdParam, paginationQuery } from "../validators/common.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router
+    .route("/c/:channelId")
+    .all(validate({ params: objectIdParam("channelId") }))
+    .get(validate({ query: paginationQuery }), getUserChannelSubscribers)
+    .post(toggleSubscription)
+
+router.route("/u/:subscriberId").get(validate({ params: objectIdParam("subscriberId"), query: paginationQuery }), getSubscribedChannels)
+
+export default router;
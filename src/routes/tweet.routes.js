@@ -0,0 +1,22 @@
+import { Router } from "express";
+import { createTweet, getUserTweets, getTimeline, updateTweet, deleteTweet } from "../controllers/tweet.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { tweetSchema, timelineQuery } from "../validators/tweet.validator.js";
+import { objectIdParam, paginationQuery } from "../validators/common.validator.js";
+
+const router = Router();
+
+router.use(verifyJWT)
+
+router.route("/").post(validate({ body: tweetSchema }), createTweet)
+router.route("/timeline").get(validate({ query: timelineQuery }), getTimeline)
+router.route("/user/:userId").get(validate({ params: objectIdParam("userId"), query: paginationQuery }), getUserTweets)
+
+router
+    .route("/:tweetId")
+    .all(validate({ params: objectIdParam("tweetId") }))
+    .patch(validate({ body: tweetSchema }), updateTweet)
+    .delete(deleteTweet)
+
+export default router;
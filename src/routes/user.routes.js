@@ -1,12 +1,20 @@
 import { Router } from "express";
-import { loginUser, logoutUser, registerUser, changeCurrentPassword, getCurrentUser, updateAccoounDetails, updateUserAvatar, updateUserCoverImage, getUserChannelProfile, getWatchHistroy } from "../controllers/user.controller.js";
+import { loginUser, logoutUser, registerUser, changeCurrentPassword, getCurrentUser, updateAccoounDetails, updateUserAvatar, updateUserCoverImage, getUserChannelProfile, getWatchHistroy, removeFromWatchHistory, clearWatchHistory } from "../controllers/user.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 import { refereshAccessToken } from "../controllers/user.controller.js";
+import { getSessions, revokeSession, logoutAllSessions } from "../controllers/session.controller.js";
+import { requestEmailVerification, verifyEmail, forgotPassword, resetPassword } from "../controllers/auth.controller.js";
+import { getTwoFactorStatus, setupTwoFactor, confirmTwoFactor, disableTwoFactor, regenerateRecoveryCodes, verifyTwoFactorLogin } from "../controllers/twoFactor.controller.js";
+import { loginIpLimiter, loginAccountLimiter, registerLimiter, refreshLimiter } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { registerSchema, loginSchema, changePasswordSchema, updateAccountSchema, channelProfileParams, verifyEmailSchema, forgotPasswordSchema, resetPasswordSchema, twoFactorConfirmSchema, twoFactorCodeSchema, twoFactorLoginSchema } from "../validators/user.validator.js";
+import { objectIdParam, paginationQuery } from "../validators/common.validator.js";
 
 const router = Router();
 
 router.route("/register").post(
+    registerLimiter,
     (req, res, next) => {
         // Check if request has files (multipart) or JSON body
         if (req.headers['content-type']?.includes('multipart/form-data')) {
@@ -26,30 +34,69 @@ router.route("/register").post(
             next();
         }
     },
+    validate({ body: registerSchema }),
     registerUser
 );
 
 router.route("/login").post(
+    loginIpLimiter,
+    loginAccountLimiter,
+    validate({ body: loginSchema }),
     loginUser
 )
 
+// second step of a login with two-factor turned on
+router.route("/login/2fa").post(
+    loginIpLimiter,
+    validate({ body: twoFactorLoginSchema }),
+    verifyTwoFactorLogin
+)
+
 router.route("/logout").post(verifyJWT, logoutUser)
 
-router.route("/refresh-token").post(refereshAccessToken)
+router.route("/logout-all").post(verifyJWT, logoutAllSessions)
+
+router.route("/refresh-token").post(refreshLimiter, refereshAccessToken)
+
+router.route("/sessions").get(verifyJWT, getSessions)
+
+router.route("/sessions/:sessionId").delete(verifyJWT, validate({ params: objectIdParam("sessionId") }), revokeSession)
+
+router.route("/verify-email/request").post(verifyJWT, requestEmailVerification)
+
+router.route("/verify-email").post(validate({ body: verifyEmailSchema }), verifyEmail)
+
+router.route("/forgot-password").post(validate({ body: forgotPasswordSchema }), forgotPassword)
 
-router.route("/change-password").post(verifyJWT, changeCurrentPassword)
+router.route("/reset-password").post(validate({ body: resetPasswordSchema }), resetPassword)
+
+router.route("/2fa").get(verifyJWT, getTwoFactorStatus)
+
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor)
+
+router.route("/2fa/confirm").post(verifyJWT, validate({ body: twoFactorConfirmSchema }), confirmTwoFactor)
+
+router.route("/2fa/disable").post(verifyJWT, validate({ body: twoFactorCodeSchema }), disableTwoFactor)
+
+router.route("/2fa/recovery-codes").post(verifyJWT, validate({ body: twoFactorCodeSchema }), regenerateRecoveryCodes)
+
+router.route("/change-password").post(verifyJWT, validate({ body: changePasswordSchema }), changeCurrentPassword)
 
 router.route("/current-user").get(verifyJWT, getCurrentUser)
 
-router.route("/update-account").patch(verifyJWT, updateAccoounDetails)
+router.route("/update-account").patch(verifyJWT, validate({ body: updateAccountSchema }), updateAccoounDetails)
 
 router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
 
 router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
 
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
+router.route("/c/:username").get(verifyJWT, validate({ params: channelProfileParams }), getUserChannelProfile)
+
+router.route("/history")
+    .get(verifyJWT, validate({ query: paginationQuery }), getWatchHistroy)
+    .delete(verifyJWT, clearWatchHistory)
 
-router.route("/history").get(verifyJWT, getWatchHistroy)
+router.route("/history/:videoId").delete(verifyJWT, validate({ params: objectIdParam("videoId") }), removeFromWatchHistory)
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { Router } from "express";
+import { getAllVideos, publishAVideo, getVideoById, updateVideo, deleteVideo, togglePublishStatus, reprocessVideo, recordVideoView, getStreamUrl, streamVideo } from "../controllers/video.controller.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { verifyJWT, requireVerifiedEmail } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { getVideosQuery, publishVideoSchema, updateVideoSchema, streamUrlQuery, streamVideoQuery, hlsFileParam } from "../validators/video.validator.js";
+import { objectIdParam } from "../validators/common.validator.js";
+
+const router = Router();
+
+// signed stream urls work without cookies, e.g. in a <video> tag embedded on another site
+const signedOrLoggedIn = (req, res, next) => req.query.signature ? next() : verifyJWT(req, res, next)
+
+router
+    .route("/:videoId/stream")
+    .get(validate({ params: objectIdParam("videoId"), query: streamVideoQuery }), signedOrLoggedIn, streamVideo)
+
+// HLS: master.m3u8, <rendition>/index.m3u8 and <rendition>/segment_000.ts
+router
+    .route("/:videoId/stream/*file")
+    .get(validate({ params: { ...objectIdParam("videoId"), ...hlsFileParam }, query: streamVideoQuery }), signedOrLoggedIn, streamVideo)
+
+router.use(verifyJWT) // every other video route needs a logged in user
+
+router
+    .route("/")
+    .get(validate({ query: getVideosQuery }), getAllVideos)
+    .post(
+        requireVerifiedEmail,
+        upload.fields([
+            {
+                name: "videoFile",
+                maxCount: 1
+            },
+            {
+                name: "thumbnail",
+                maxCount: 1
+            }
+        ]),
+        validate({ body: publishVideoSchema }),
+        publishAVideo
+    )
+
+router
+    .route("/:videoId")
+    .all(validate({ params: objectIdParam("videoId") }))
+    .get(getVideoById)
+    .patch(upload.single("thumbnail"), validate({ body: updateVideoSchema }), updateVideo)
+    .delete(deleteVideo)
+
+router.route("/toggle/publish/:videoId").patch(validate({ params: objectIdParam("videoId") }), togglePublishStatus)
+
+router.route("/:videoId/reprocess").post(validate({ params: objectIdParam("videoId") }), reprocessVideo)
+
+router.route("/:videoId/view").post(validate({ params: objectIdParam("videoId") }), recordVideoView)
+
+router
+    .route("/:videoId/stream-url")
+    .get(validate({ params: objectIdParam("videoId"), query: streamUrlQuery }), getStreamUrl)
+
+export default router;
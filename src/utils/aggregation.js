@@ -0,0 +1,31 @@
+// reusable aggregation stages shared by the controllers
+
+// swaps the user id stored in `field` for a small public profile of that user
+const lookupUserDetails = (field = "owner") => [
+    {
+        $lookup: {
+            from: "users",
+            localField: field,
+            foreignField: "_id",
+            as: field,
+            pipeline: [
+                {
+                    $project: {
+                        fullname: 1,
+                        username: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            [field]: {
+                $first: `$${field}`
+            }
+        }
+    }
+]
+
+export { lookupUserDetails }
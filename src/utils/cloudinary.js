@@ -1,24 +0,0 @@
-import {v2 as cloudinary} from 'cloudinary';
-import fs from 'fs';
-
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_CLOUD_API_KEY,
-    api_secret: process.env.CLOUDINARY_CLOUD_API_SECRET
-})
-
-const uploadToCloudinary = async (localFilePath)=>{
-    try {
-        if(!localFilePath) return null;
-        const response = await cloudinary.uploader.upload(localFilePath, {
-            resource_type: 'auto'
-        })
-        console.log("file is uploaded on cloudinary", response.url)
-        return response
-    } catch (error) {
-        fs.unlinkSync(localFilePath)
-        return null
-    }
-}
-
-export { uploadToCloudinary }
\ No newline at end of file
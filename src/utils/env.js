@@ -0,0 +1,17 @@
+// express treats an unset NODE_ENV as development, so do we
+const isDevelopment = () => (process.env.NODE_ENV || "development") === "development"
+
+// settings the app cannot work without, checked once at startup so a missing one
+// stops the server right away instead of failing some requests later
+const checkEnv = () => {
+    const required = ["ACCESS_TOKEN_SECRET", "REFRESH_TOKEN_SECRET", "AUTH_TOKEN_SECRET", "TWO_FACTOR_SECRET_KEY"]
+    // the console transport is for development only, mails carry login and reset links
+    if (!isDevelopment()) required.push("MAIL_TRANSPORT")
+
+    const missing = required.filter((name) => !process.env[name])
+    if (missing.length) {
+        throw new Error(`Missing required environment variables: ${missing.join(", ")}`)
+    }
+}
+
+export { isDevelopment, checkEnv }
@@ -0,0 +1,142 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+
+// HLS ladder, a source only gets the renditions that are not bigger than itself
+const RENDITIONS = [
+    { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+    { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 }
+]
+
+const SEGMENT_SECONDS = 6
+
+// h264 wants even dimensions
+const even = (value) => Math.max(2, Math.round(value / 2) * 2)
+
+// runs ffmpeg or ffprobe and resolves with stdout, the end of stderr goes into the error when it fails
+const run = (command, args) => new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] })
+    let stdout = ""
+    let stderr = ""
+
+    child.stdout.on("data", (chunk) => {
+        stdout += chunk
+    })
+    child.stderr.on("data", (chunk) => {
+        stderr = (stderr + chunk).slice(-4000)
+    })
+    child.on("error", (error) => {
+        if (error.code === "ENOENT") {
+            return reject(new Error(`${command} was not found, install ffmpeg or set FFMPEG_PATH and FFPROBE_PATH`))
+        }
+        reject(error)
+    })
+    child.on("close", (code) => {
+        if (code === 0) return resolve(stdout)
+        const reason = stderr.trim().split("\n").slice(-3).join(" ")
+        reject(new Error(`${path.basename(command)} exited with code ${code}: ${reason}`))
+    })
+})
+
+const ffmpeg = (args) => run(process.env.FFMPEG_PATH || "ffmpeg", ["-hide_banner", "-loglevel", "error", "-y", ...args])
+
+// input may be a local path or an url, both tools can read either
+const probeVideo = async (input) => {
+    const output = await run(process.env.FFPROBE_PATH || "ffprobe", [
+        "-v", "error",
+        "-print_format", "json",
+        "-show_format",
+        "-show_streams",
+        input
+    ])
+    const { format = {}, streams = [] } = JSON.parse(output)
+    const videoStream = streams.find((stream) => stream.codec_type === "video")
+    if (!videoStream) {
+        throw new Error("The uploaded file has no video stream")
+    }
+
+    // phones record portrait video as landscape plus a rotation flag
+    const rotation = Math.abs(Number(
+        videoStream.tags?.rotate ?? videoStream.side_data_list?.find((data) => data.rotation !== undefined)?.rotation ?? 0
+    ))
+    const isRotated = rotation === 90 || rotation === 270
+
+    return {
+        duration: Number(format.duration || videoStream.duration) || 0,
+        width: isRotated ? videoStream.height : videoStream.width,
+        height: isRotated ? videoStream.width : videoStream.height,
+        hasAudio: streams.some((stream) => stream.codec_type === "audio")
+    }
+}
+
+const generateThumbnail = (input, outputPath, { at = 0 } = {}) => ffmpeg([
+    "-ss", String(at),
+    "-i", input,
+    "-frames:v", "1",
+    "-vf", "scale=1280:-2",
+    "-q:v", "3",
+    outputPath
+])
+
+// writes <outputDirectory>/<rendition>/index.m3u8 with its segments and a master.m3u8 next to them,
+// resolves with the renditions that were created
+const transcodeToHls = async (input, outputDirectory, { width, height, hasAudio }) => {
+    let ladder = RENDITIONS.filter((rendition) => rendition.height <= height)
+    if (!ladder.length) {
+        // smaller than the smallest rung, keep the source size
+        const smallest = RENDITIONS[RENDITIONS.length - 1]
+        ladder = [{ ...smallest, name: `${even(height)}p`, height: even(height) }]
+    }
+
+    const renditions = []
+    for (const rendition of ladder) {
+        const renditionDirectory = path.join(outputDirectory, rendition.name)
+        await fs.promises.mkdir(renditionDirectory, { recursive: true })
+
+        await ffmpeg([
+            "-i", input,
+            "-map", "0:v:0",
+            ...(hasAudio ? ["-map", "0:a:0", "-c:a", "aac", "-b:a", `${rendition.audioBitrate}k`, "-ac", "2"] : []),
+            "-vf", `scale=-2:${rendition.height}`,
+            "-c:v", "libx264",
+            "-preset", "veryfast",
+            "-profile:v", "main",
+            "-pix_fmt", "yuv420p",
+            "-crf", "23",
+            "-maxrate", `${rendition.videoBitrate}k`,
+            "-bufsize", `${rendition.videoBitrate * 2}k`,
+            // fixed keyframes so every rendition cuts its segments at the same points
+            "-g", "48",
+            "-keyint_min", "48",
+            "-sc_threshold", "0",
+            "-hls_time", String(SEGMENT_SECONDS),
+            "-hls_playlist_type", "vod",
+            "-hls_segment_filename", path.join(renditionDirectory, "segment_%03d.ts"),
+            path.join(renditionDirectory, "index.m3u8")
+        ])
+
+        renditions.push({
+            name: rendition.name,
+            width: even(width * rendition.height / height),
+            height: rendition.height,
+            bandwidth: (rendition.videoBitrate + (hasAudio ? rendition.audioBitrate : 0)) * 1000,
+            playlist: `${rendition.name}/index.m3u8`
+        })
+    }
+
+    const master = [
+        "#EXTM3U",
+        "#EXT-X-VERSION:3",
+        ...renditions.flatMap((rendition) => [
+            `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+            rendition.playlist
+        ])
+    ].join("\n")
+    await fs.promises.writeFile(path.join(outputDirectory, "master.m3u8"), `${master}\n`)
+
+    return renditions
+}
+
+export { probeVideo, generateThumbnail, transcodeToHls }
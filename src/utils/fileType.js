@@ -0,0 +1,43 @@
+import fs from "fs";
+
+// the mime type a client sends is just a claim, these signatures tell what the bytes really are
+const signatures = [
+    { mime: "image/jpeg", kind: "image", extension: "jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mime: "image/png", kind: "image", extension: "png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mime: "image/gif", kind: "image", extension: "gif", test: (b) => ["GIF87a", "GIF89a"].includes(b.toString("ascii", 0, 6)) },
+    { mime: "image/webp", kind: "image", extension: "webp", test: (b) => b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP" },
+    { mime: "video/x-msvideo", kind: "video", extension: "avi", test: (b) => b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 11) === "AVI" },
+    { mime: "video/webm", kind: "video", extension: "webm", test: (b) => b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3 },
+    { mime: "video/ogg", kind: "video", extension: "ogv", test: (b) => b.toString("ascii", 0, 4) === "OggS" },
+    // mp4, mov, m4v and 3gp are all ISO base media files with an "ftyp" box first, quicktime says so in its brand
+    {
+        mime: "video/quicktime",
+        kind: "video",
+        extension: "mov",
+        test: (b) => b.toString("ascii", 4, 8) === "ftyp" && b.toString("ascii", 8, 12) === "qt  "
+    },
+    {
+        mime: "video/mp4",
+        kind: "video",
+        extension: "mp4",
+        test: (b) => b.toString("ascii", 4, 8) === "ftyp" && !b.toString("ascii", 8, 12).startsWith("M4A")
+    }
+]
+
+const HEADER_BYTES = 16
+
+// reads the first bytes of a file and returns { mime, kind, extension } or null when the type is unknown
+const detectFileType = async (filePath) => {
+    const handle = await fs.promises.open(filePath, "r")
+    try {
+        const buffer = Buffer.alloc(HEADER_BYTES)
+        const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0)
+        const header = buffer.subarray(0, bytesRead)
+        const match = signatures.find((signature) => header.length >= 4 && signature.test(header))
+        return match ? { mime: match.mime, kind: match.kind, extension: match.extension } : null
+    } finally {
+        await handle.close()
+    }
+}
+
+export { detectFileType }
@@ -0,0 +1,23 @@
+import { defineJob, enqueueJob, startJobWorker } from "./queue.js";
+import { processVideo, markVideoFailed } from "./videoProcessing.job.js";
+import { refreshTrendingScores } from "./trending.job.js";
+import { fanOutNewVideo, queueNewVideoNotifications } from "./notifications.job.js";
+import { TRENDING_REFRESH_MINUTES } from "../../constants.js";
+
+defineJob("video.process", {
+    run: processVideo,
+    onFailure: markVideoFailed
+})
+
+defineJob("feed.trending", {
+    run: refreshTrendingScores,
+    every: TRENDING_REFRESH_MINUTES * 60 * 1000
+})
+
+defineJob("notifications.video", {
+    run: fanOutNewVideo
+})
+
+const enqueueVideoProcessing = (videoId) => enqueueJob("video.process", { videoId: videoId.toString() })
+
+export { enqueueJob, enqueueVideoProcessing, queueNewVideoNotifications, startJobWorker }
@@ -0,0 +1,90 @@
+import { Video, isVideoProcessed } from "../../models/video.model.js";
+import { Subscription } from "../../models/subscription.model.js";
+import { Notification } from "../../models/notification.model.js";
+import { getNotificationBus } from "../notifications/index.js";
+import { enqueueJob } from "./queue.js";
+
+const BATCH_SIZE = 500
+
+// tells every subscriber about a new video, in batches so big channels do not hold everything in memory
+// upserts keep a retried job from notifying anyone twice
+const fanOutNewVideo = async ({ videoId }) => {
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus")
+    if (!video || !video.isPublished || !isVideoProcessed(video)) return
+
+    const subscribers = Subscription.aggregate([
+        {
+            $match: {
+                channel: video.owner
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "subscriber",
+                foreignField: "_id",
+                as: "subscriberUser",
+                pipeline: [
+                    {
+                        $project: {
+                            mutedNotificationTypes: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $match: {
+                "subscriberUser.0": { $exists: true },
+                "subscriberUser.mutedNotificationTypes": { $ne: "video" }
+            }
+        },
+        {
+            $project: {
+                subscriber: 1
+            }
+        }
+    ]).cursor({ batchSize: BATCH_SIZE })
+
+    const flush = async (recipients) => {
+        const result = await Notification.bulkWrite(recipients.map((recipient) => ({
+            updateOne: {
+                filter: { recipient, type: "video", target: video._id },
+                update: {
+                    $setOnInsert: {
+                        actor: video.owner,
+                        targetType: "Video",
+                        video: video._id
+                    }
+                },
+                upsert: true
+            }
+        })), { ordered: false })
+
+        const created = await Notification.find({ _id: { $in: Object.values(result.upsertedIds || {}) } })
+        created.forEach((notification) => getNotificationBus().publish(notification))
+    }
+
+    let batch = []
+    for await (const { subscriber } of subscribers) {
+        batch.push(subscriber)
+        if (batch.length >= BATCH_SIZE) {
+            await flush(batch)
+            batch = []
+        }
+    }
+    if (batch.length) await flush(batch)
+}
+
+// a video is announced once, the first time it is both published and done processing
+const queueNewVideoNotifications = async (videoId) => {
+    const claimed = await Video.updateOne(
+        { _id: videoId, subscribersNotifiedAt: null },
+        { $set: { subscribersNotifiedAt: new Date() } }
+    )
+    if (claimed.modifiedCount) {
+        await enqueueJob("notifications.video", { videoId: videoId.toString() })
+    }
+}
+
+export { fanOutNewVideo, queueNewVideoNotifications }
@@ -0,0 +1,168 @@
+import os from "os";
+import crypto from "crypto";
+import { Job } from "../../models/job.model.js";
+
+// a small job queue on top of the jobs collection
+//
+// defineJob("video.process", { run: async (payload, job) => {}, onFailure: async (payload, error) => {} })
+// await enqueueJob("video.process", { videoId })
+//
+// a job defined with `every: ms` is recurring, the worker keeps exactly one of it queued
+//
+// jobs are claimed with an atomic findOneAndUpdate and hold a lease that is renewed while they run,
+// when a worker dies its jobs are picked up again once the lease ran out
+
+const WORKER_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString("hex")}`
+const POLL_INTERVAL_MS = 2000
+const LEASE_MS = 60 * 1000
+const RETRY_BASE_DELAY_MS = 30 * 1000
+
+const handlers = new Map()
+
+const defineJob = (type, handler) => {
+    handlers.set(type, handler)
+}
+
+const enqueueJob = (type, payload = {}, { maxAttempts, runAt } = {}) => {
+    if (!handlers.has(type)) {
+        throw new Error(`Unknown job type "${type}"`)
+    }
+    return Job.create({
+        type,
+        payload,
+        ...(maxAttempts ? { maxAttempts } : {}),
+        ...(runAt ? { runAt } : {})
+    })
+}
+
+// queues the job unless one of the same type is already waiting or running
+const ensureJob = (type, runAt = new Date()) => Job.updateOne(
+    { type, status: { $in: ["queued", "running"] } },
+    { $setOnInsert: { type, payload: {}, status: "queued", runAt } },
+    { upsert: true }
+)
+
+const scheduleNextRun = (job, handler) => {
+    if (!handler.every) return
+    return ensureJob(job.type, new Date(Date.now() + handler.every))
+}
+
+const claimNextJob = () => {
+    const now = new Date()
+    return Job.findOneAndUpdate(
+        {
+            type: { $in: [...handlers.keys()] },
+            $or: [
+                { status: "queued", runAt: { $lte: now } },
+                // the worker running it stopped renewing its lease
+                { status: "running", lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: {
+                status: "running",
+                lockedBy: WORKER_ID,
+                lockedUntil: new Date(now.getTime() + LEASE_MS)
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1, _id: 1 }, new: true }
+    )
+}
+
+// only touch the job while we still hold it
+const updateOwnJob = (job, update) => Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, update)
+
+const failJob = async (job, handler, error) => {
+    const retry = job.attempts < job.maxAttempts
+    await updateOwnJob(job, {
+        $set: {
+            status: retry ? "queued" : "failed",
+            // 30s, 60s, 120s ...
+            runAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1)),
+            lockedBy: null,
+            lockedUntil: null,
+            lastError: error?.message || String(error)
+        }
+    })
+    if (!retry && handler.onFailure) {
+        await handler.onFailure(job.payload, error)
+    }
+    if (!retry) await scheduleNextRun(job, handler)
+}
+
+const runJob = async (job) => {
+    const handler = handlers.get(job.type)
+    // the lease was lost after the last attempt, most likely the process crashed mid-way
+    if (job.attempts > job.maxAttempts) {
+        return failJob(job, handler, new Error("Job was interrupted too many times"))
+    }
+
+    const heartbeat = setInterval(() => {
+        updateOwnJob(job, { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } })
+            .catch((error) => console.log("Error while renewing job lease", error))
+    }, LEASE_MS / 3)
+
+    try {
+        await handler.run(job.payload, job)
+        clearInterval(heartbeat)
+        await updateOwnJob(job, {
+            $set: {
+                status: "completed",
+                completedAt: new Date(),
+                lockedBy: null,
+                lockedUntil: null,
+                lastError: ""
+            }
+        })
+        await scheduleNextRun(job, handler)
+    } catch (error) {
+        clearInterval(heartbeat)
+        console.log(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts})`, error?.message)
+        await failJob(job, handler, error)
+    }
+}
+
+// polls for jobs and runs up to `concurrency` of them at once, returns a function that stops polling
+const startJobWorker = ({ concurrency = 1 } = {}) => {
+    let running = 0
+    let stopped = false
+    let timer = null
+
+    const schedule = (delay) => {
+        clearTimeout(timer)
+        if (!stopped) timer = setTimeout(tick, delay)
+    }
+
+    const tick = async () => {
+        try {
+            while (!stopped && running < concurrency) {
+                const job = await claimNextJob()
+                if (!job) break
+                running++
+                runJob(job)
+                    .catch((error) => console.log("Error while running job", error))
+                    .finally(() => {
+                        running--
+                        // a slot is free, look for the next job right away
+                        schedule(0)
+                    })
+            }
+        } catch (error) {
+            console.log("Error while polling jobs", error)
+        }
+        schedule(POLL_INTERVAL_MS)
+    }
+
+    Promise.all([...handlers].filter(([, handler]) => handler.every).map(([type]) => ensureJob(type)))
+        .catch((error) => console.log("Error while scheduling recurring jobs", error))
+        .finally(() => schedule(0))
+    console.log(`Job worker ${WORKER_ID} started for ${[...handlers.keys()].join(", ")}`)
+
+    return () => {
+        stopped = true
+        clearTimeout(timer)
+    }
+}
+
+export { defineJob, enqueueJob, startJobWorker }
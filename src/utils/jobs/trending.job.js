@@ -0,0 +1,68 @@
+import { Video } from "../../models/video.model.js";
+import { ViewStat } from "../../models/viewStat.model.js";
+import { TRENDING_WINDOW_DAYS, TRENDING_HALF_LIFE_HOURS } from "../../constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+
+// view velocity with time decay: every daily count of the window weighs 0.5^(age / half life),
+// the scores are written onto the videos so the feed only has to sort by them
+const refreshTrendingScores = async () => {
+    const computedAt = new Date()
+    const since = new Date(computedAt.getTime() - TRENDING_WINDOW_DAYS * DAY_MS)
+
+    await ViewStat.aggregate([
+        {
+            $match: {
+                day: { $gte: since }
+            }
+        },
+        {
+            $group: {
+                _id: "$video",
+                trendingScore: {
+                    $sum: {
+                        $multiply: [
+                            "$views",
+                            {
+                                $pow: [
+                                    0.5,
+                                    { $divide: [{ $subtract: [computedAt, "$day"] }, TRENDING_HALF_LIFE_HOURS * HOUR_MS] }
+                                ]
+                            }
+                        ]
+                    }
+                }
+            }
+        },
+        {
+            $merge: {
+                into: "videos",
+                on: "_id",
+                whenMatched: [
+                    {
+                        $set: {
+                            trendingScore: "$$new.trendingScore",
+                            trendingComputedAt: computedAt
+                        }
+                    }
+                ],
+                whenNotMatched: "discard"
+            }
+        }
+    ])
+
+    // nobody watched these within the window anymore
+    await Video.updateMany(
+        {
+            trendingScore: { $gt: 0 },
+            $or: [
+                { trendingComputedAt: { $lt: computedAt } },
+                { trendingComputedAt: null }
+            ]
+        },
+        { $set: { trendingScore: 0, trendingComputedAt: computedAt } }
+    )
+}
+
+export { refreshTrendingScores }
@@ -0,0 +1,79 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Video } from "../../models/video.model.js";
+import { getStorage, uploadFile, deleteFile, deleteFolder } from "../storage/index.js";
+import { probeVideo, generateThumbnail, transcodeToHls } from "../ffmpeg.js";
+import { queueNewVideoNotifications } from "./notifications.job.js";
+
+// probe the duration, grab a thumbnail when the owner did not upload one and transcode to HLS
+const processVideo = async ({ videoId }) => {
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        { $set: { processingStatus: "processing", processingError: "" } },
+        { new: true }
+    )
+    // deleted while it was waiting in the queue
+    if (!video) return
+
+    const storage = getStorage()
+    // ffmpeg reads the stored file directly when it is on this machine and streams the url otherwise
+    const input = storage.getLocalPath?.(video.videoFile) || video.videoFile
+    const workDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), `video-${video._id}-`))
+
+    try {
+        const metadata = await probeVideo(input)
+        await Video.updateOne({ _id: video._id }, { $set: { duration: metadata.duration } })
+
+        if (!video.thumbnail) {
+            const thumbnailPath = path.join(workDirectory, "thumbnail.jpg")
+            // a frame a little into the video, the very first one is often black
+            await generateThumbnail(input, thumbnailPath, { at: Math.min(metadata.duration * 0.1, 10) })
+            const thumbnail = await uploadFile(thumbnailPath, { folder: "thumbnails", resourceType: "image" })
+            if (!thumbnail?.url) {
+                throw new Error("Error while uploading the generated thumbnail")
+            }
+            const updated = await Video.findOneAndUpdate(
+                { _id: video._id, thumbnail: "" },
+                { $set: { thumbnail: thumbnail.url } }
+            )
+            // the owner uploaded one in the meantime
+            if (!updated) await deleteFile(thumbnail.url, { resourceType: "image" })
+        }
+
+        const hlsDirectory = path.join(workDirectory, "hls")
+        const renditions = await transcodeToHls(input, hlsDirectory, metadata)
+        const folder = `hls/${video._id}`
+        const { baseUrl } = await storage.uploadDirectory(hlsDirectory, { folder })
+
+        const processed = await Video.findByIdAndUpdate(video._id, {
+            $set: {
+                hls: {
+                    folder,
+                    masterPlaylist: `${baseUrl}/master.m3u8`,
+                    renditions
+                },
+                processingStatus: "ready",
+                processingError: ""
+            }
+        })
+        // deleted while it was being processed
+        if (!processed) return deleteFolder(folder)
+        if (processed.isPublished) await queueNewVideoNotifications(video._id)
+    } finally {
+        await fs.promises.rm(workDirectory, { recursive: true, force: true })
+    }
+}
+
+// every attempt failed, the owner sees why on the video and may retry with POST /videos/:videoId/reprocess.
+// viewers get the uploaded file instead of HLS, so a published video is announced all the same
+const markVideoFailed = async ({ videoId }, error) => {
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        { $set: { processingStatus: "failed", processingError: error?.message || "Processing failed" } },
+        { new: true }
+    )
+    if (video?.isPublished) await queueNewVideoNotifications(video._id)
+}
+
+export { processVideo, markVideoFailed }
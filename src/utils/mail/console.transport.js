@@ -0,0 +1,16 @@
+import { isDevelopment } from "../env.js";
+
+// prints the mail instead of sending it, the default in development
+// the text holds live verification and reset links, anywhere else only who got what is logged
+const createConsoleTransport = () => {
+    return {
+        name: "console",
+        send: async (message) => {
+            const body = isDevelopment() ? `\n${message.text}` : " (body not logged outside development)"
+            console.log(`mail to ${message.to}: ${message.subject}${body}`)
+            return {}
+        }
+    }
+}
+
+export { createConsoleTransport }
@@ -0,0 +1,18 @@
+import fs from "fs";
+import path from "path";
+
+// writes every mail as a json file so local runs and tests can read the links out of it
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || "./logs/mail") => {
+    return {
+        name: "file",
+        send: async (message) => {
+            await fs.promises.mkdir(directory, { recursive: true })
+            const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.json`
+            const filePath = path.join(directory, fileName)
+            await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2))
+            return { path: filePath }
+        }
+    }
+}
+
+export { createFileTransport }
@@ -0,0 +1,45 @@
+import { createSmtpTransport } from "./smtp.transport.js";
+import { createFileTransport } from "./file.transport.js";
+import { createConsoleTransport } from "./console.transport.js";
+import { isDevelopment } from "../env.js";
+
+// every transport is an object with a `name` and an async `send({ from, to, subject, text, html })`
+const transports = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+}
+
+let transport = null
+
+const getMailTransport = () => {
+    if (!transport) {
+        // only development falls back to printing mails, see checkEnv
+        const name = process.env.MAIL_TRANSPORT || (isDevelopment() ? "console" : null)
+        if (!name) {
+            throw new Error(`MAIL_TRANSPORT is not set, use one of ${Object.keys(transports).join(", ")}`)
+        }
+        if (!transports[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}", use one of ${Object.keys(transports).join(", ")}`)
+        }
+        transport = transports[name]()
+    }
+    return transport
+}
+
+// lets tests swap in their own transport
+const setMailTransport = (customTransport) => {
+    transport = customTransport
+}
+
+const sendMail = ({ to, subject, text, html }) => {
+    return getMailTransport().send({
+        from: process.env.MAIL_FROM || "no-reply@localhost",
+        to,
+        subject,
+        text,
+        html
+    })
+}
+
+export { sendMail, getMailTransport, setMailTransport }
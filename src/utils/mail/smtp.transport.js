@@ -0,0 +1,20 @@
+import nodemailer from "nodemailer";
+
+// real delivery through any SMTP server
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    })
+
+    return {
+        name: "smtp",
+        send: (message) => transporter.sendMail(message)
+    }
+}
+
+export { createSmtpTransport }
@@ -0,0 +1,23 @@
+const clientUrl = () => process.env.CLIENT_URL || process.env.CORS_ORIGIN || "http://localhost:3000"
+
+const verificationMail = (user, token) => {
+    const link = `${clientUrl()}/verify-email?token=${encodeURIComponent(token)}`
+    return {
+        to: user.email,
+        subject: "Verify your email",
+        text: `Hi ${user.username},\n\nconfirm your email address by opening this link:\n${link}\n\nIf you did not create an account you can ignore this mail.`,
+        html: `<p>Hi ${user.username},</p><p>confirm your email address by opening <a href="${link}">this link</a>.</p><p>If you did not create an account you can ignore this mail.</p>`
+    }
+}
+
+const passwordResetMail = (user, token) => {
+    const link = `${clientUrl()}/reset-password?token=${encodeURIComponent(token)}`
+    return {
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.username},\n\nreset your password with this link:\n${link}\n\nIf you did not ask for it you can ignore this mail.`,
+        html: `<p>Hi ${user.username},</p><p>reset your password with <a href="${link}">this link</a>.</p><p>If you did not ask for it you can ignore this mail.</p>`
+    }
+}
+
+export { verificationMail, passwordResetMail }
@@ -0,0 +1,56 @@
+import { Notification } from "../../models/notification.model.js";
+import { User } from "../../models/user.model.js";
+import { createMemoryBus } from "./memory.bus.js";
+import { createMongoBus } from "./mongo.bus.js";
+
+// a bus has `publish(notification)` and `subscribe(recipientId, listener)` returning an unsubscribe function
+const buses = {
+    memory: createMemoryBus,
+    mongo: createMongoBus
+}
+
+let bus = null
+
+const getNotificationBus = () => {
+    if (!bus) {
+        const name = process.env.NOTIFICATION_BUS || "memory"
+        if (!buses[name]) {
+            throw new Error(`Unknown NOTIFICATION_BUS "${name}", use one of ${Object.keys(buses).join(", ")}`)
+        }
+        bus = buses[name]()
+    }
+    return bus
+}
+
+// lets tests swap in their own bus
+const setNotificationBus = (customBus) => {
+    bus = customBus
+}
+
+// stores and pushes one notification, nobody is told about their own actions or about muted types
+// a failed notification is logged and never breaks the request that caused it
+const notify = async ({ recipient, actor, type, targetType, target, video }) => {
+    if (!recipient || recipient.toString() === actor?.toString()) return null
+    try {
+        const isMuted = await User.exists({ _id: recipient, mutedNotificationTypes: type })
+        if (isMuted) return null
+
+        const notification = await Notification.create({ recipient, actor, type, targetType, target, video })
+        getNotificationBus().publish(notification)
+        return notification
+    } catch (error) {
+        console.log("Error while sending notification", error)
+        return null
+    }
+}
+
+// an unlike or unsubscribe takes back the notification, unless it was already read
+const retractNotification = async ({ actor, type, target }) => {
+    try {
+        await Notification.deleteOne({ actor, type, target, readAt: null })
+    } catch (error) {
+        console.log("Error while retracting notification", error)
+    }
+}
+
+export { getNotificationBus, setNotificationBus, notify, retractNotification }
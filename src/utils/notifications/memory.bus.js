@@ -0,0 +1,22 @@
+import { EventEmitter } from "events";
+
+// hands notifications to the open streams of this process, enough while a single instance
+// serves both the api and the job worker
+const createMemoryBus = () => {
+    const emitter = new EventEmitter()
+    emitter.setMaxListeners(0)
+
+    return {
+        name: "memory",
+        publish: (notification) => {
+            emitter.emit(notification.recipient.toString(), notification)
+        },
+        subscribe: (recipientId, listener) => {
+            const key = recipientId.toString()
+            emitter.on(key, listener)
+            return () => emitter.off(key, listener)
+        }
+    }
+}
+
+export { createMemoryBus }
@@ -0,0 +1,49 @@
+import { EventEmitter } from "events";
+import { Notification } from "../../models/notification.model.js";
+
+const REOPEN_DELAY_MS = 5000
+
+// every instance watches the notifications collection, so a notification created by any instance
+// or job worker reaches every open stream. change streams need mongodb running as a replica set
+const createMongoBus = () => {
+    const emitter = new EventEmitter()
+    emitter.setMaxListeners(0)
+    let changeStream = null
+
+    const hasListeners = () => emitter.eventNames().length > 0
+
+    const open = () => {
+        changeStream = Notification.watch([{ $match: { operationType: "insert" } }])
+        changeStream.on("change", (change) => {
+            emitter.emit(change.fullDocument.recipient.toString(), change.fullDocument)
+        })
+        changeStream.on("error", (error) => {
+            console.log("Notification change stream failed", error)
+            changeStream = null
+            setTimeout(() => {
+                if (!changeStream && hasListeners()) open()
+            }, REOPEN_DELAY_MS)
+        })
+    }
+
+    return {
+        name: "mongo",
+        // the insert itself is the event
+        publish: () => {},
+        subscribe: (recipientId, listener) => {
+            const key = recipientId.toString()
+            emitter.on(key, listener)
+            if (!changeStream) open()
+
+            return () => {
+                emitter.off(key, listener)
+                if (!hasListeners() && changeStream) {
+                    changeStream.close().catch(() => {})
+                    changeStream = null
+                }
+            }
+        }
+    }
+}
+
+export { createMongoBus }
@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./ApiError.js";
+
+// generic OAuth 2.0 / OpenID Connect providers, configured from the environment
+//
+// OAUTH_PROVIDERS=google,mock
+// OAUTH_<NAME>_CLIENT_ID, OAUTH_<NAME>_CLIENT_SECRET (optional for public clients)
+// OAUTH_<NAME>_ISSUER          endpoints are read from <issuer>/.well-known/openid-configuration
+// or one by one: OAUTH_<NAME>_AUTHORIZATION_URL, _TOKEN_URL, _USERINFO_URL, _JWKS_URL
+// OAUTH_<NAME>_SCOPE           "openid email profile" by default
+// OAUTH_<NAME>_LABEL           what the client shows on the button
+
+const METADATA_TTL_MS = 60 * 60 * 1000
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"]
+
+const getProviderNames = () => (process.env.OAUTH_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+
+const getProviderConfig = (name) => {
+    if (!getProviderNames().includes(name)) return null
+
+    const prefix = `OAUTH_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`
+    const env = (key) => process.env[`${prefix}${key}`]
+
+    return {
+        name,
+        label: env("LABEL") || name,
+        clientId: env("CLIENT_ID"),
+        clientSecret: env("CLIENT_SECRET"),
+        issuer: env("ISSUER")?.replace(/\/$/, ""),
+        scope: env("SCOPE") || "openid email profile",
+        endpoints: {
+            authorization_endpoint: env("AUTHORIZATION_URL"),
+            token_endpoint: env("TOKEN_URL"),
+            userinfo_endpoint: env("USERINFO_URL"),
+            jwks_uri: env("JWKS_URL")
+        }
+    }
+}
+
+const fetchJson = async (url, options = {}) => {
+    let response
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers: { Accept: "application/json", ...options.headers }
+        })
+    } catch (error) {
+        throw new ApiError(502, `Login provider is unreachable: ${error.message}`)
+    }
+    const body = await response.json().catch(() => null)
+    if (!response.ok || !body) {
+        const reason = body?.error_description || body?.error || response.statusText
+        throw new ApiError(502, `Login provider answered ${response.status}: ${reason}`)
+    }
+    return body
+}
+
+// discovery documents and key sets rarely change, no need to fetch them on every login
+const metadataCache = new Map()
+
+const fetchCachedJson = async (url, { refresh = false } = {}) => {
+    const cached = metadataCache.get(url)
+    if (cached && !refresh && cached.expiresAt > Date.now()) return cached.value
+    const value = await fetchJson(url)
+    metadataCache.set(url, { value, expiresAt: Date.now() + METADATA_TTL_MS })
+    return value
+}
+
+// endpoints configured one by one win over the discovery document
+const getEndpoints = async (provider) => {
+    const discovered = provider.issuer
+        ? await fetchCachedJson(`${provider.issuer}/.well-known/openid-configuration`)
+        : {}
+    const endpoints = {
+        ...discovered,
+        ...Object.fromEntries(Object.entries(provider.endpoints).filter(([, url]) => url))
+    }
+    if (!endpoints.authorization_endpoint || !endpoints.token_endpoint) {
+        throw new ApiError(500, `Login provider "${provider.name}" has no authorization or token endpoint configured`)
+    }
+    return endpoints
+}
+
+// PKCE: the verifier stays with us, the provider only sees its sha256
+const createPkcePair = () => {
+    const codeVerifier = crypto.randomBytes(32).toString("base64url")
+    const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+    return { codeVerifier, codeChallenge }
+}
+
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge, redirectUri }) => {
+    const { authorization_endpoint } = await getEndpoints(provider)
+    const url = new URL(authorization_endpoint)
+    url.searchParams.set("response_type", "code")
+    url.searchParams.set("client_id", provider.clientId)
+    url.searchParams.set("redirect_uri", redirectUri)
+    url.searchParams.set("scope", provider.scope)
+    url.searchParams.set("state", state)
+    url.searchParams.set("nonce", nonce)
+    url.searchParams.set("code_challenge", codeChallenge)
+    url.searchParams.set("code_challenge_method", "S256")
+    return url.toString()
+}
+
+const exchangeCode = async (provider, { code, codeVerifier, redirectUri }) => {
+    const { token_endpoint } = await getEndpoints(provider)
+    const body = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: redirectUri,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier
+    })
+    if (provider.clientSecret) body.set("client_secret", provider.clientSecret)
+
+    return fetchJson(token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body
+    })
+}
+
+// signature against the provider's published keys, then issuer, audience, expiry and our nonce
+const verifyIdToken = async (provider, endpoints, idToken, nonce) => {
+    const header = jwt.decode(idToken, { complete: true })?.header
+    if (!header || !endpoints.jwks_uri) {
+        throw new ApiError(502, "Login provider returned an id token that cannot be verified")
+    }
+
+    const findKey = ({ keys = [] }) => keys.find((key) => header.kid ? key.kid === header.kid : key.use !== "enc")
+    // an unknown kid usually means the provider rotated its keys since we cached them
+    const jwk = findKey(await fetchCachedJson(endpoints.jwks_uri)) ||
+        findKey(await fetchCachedJson(endpoints.jwks_uri, { refresh: true }))
+    if (!jwk) {
+        throw new ApiError(502, "Login provider signed the id token with an unknown key")
+    }
+
+    const issuer = endpoints.issuer || provider.issuer
+    try {
+        const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: "jwk" }), {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            audience: provider.clientId,
+            ...(issuer ? { issuer } : {})
+        })
+        if (claims.nonce !== nonce) {
+            throw new Error("nonce does not match")
+        }
+        return claims
+    } catch (error) {
+        throw new ApiError(401, `Invalid id token: ${error.message}`)
+    }
+}
+
+// who logged in: the verified id token of OpenID Connect, completed by the userinfo endpoint
+// (plain OAuth 2.0 providers only have the latter)
+const fetchIdentity = async (provider, tokens, nonce) => {
+    const endpoints = await getEndpoints(provider)
+    let claims = tokens.id_token ? await verifyIdToken(provider, endpoints, tokens.id_token, nonce) : {}
+
+    if ((!claims.sub || !claims.email) && endpoints.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(endpoints.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` }
+        })
+        if (claims.sub && userinfo.sub && String(userinfo.sub) !== String(claims.sub)) {
+            throw new ApiError(502, "Login provider returned details of another user")
+        }
+        claims = { ...userinfo, ...claims }
+    }
+
+    const subject = claims.sub ?? claims.id
+    if (subject === undefined || subject === null) {
+        throw new ApiError(502, "Login provider did not return a user id")
+    }
+
+    return {
+        subject: String(subject),
+        email: claims.email?.toLowerCase(),
+        emailVerified: claims.email_verified === true || claims.email_verified === "true",
+        name: claims.name,
+        username: claims.preferred_username || claims.login || claims.nickname,
+        picture: claims.picture || claims.avatar_url
+    }
+}
+
+export {
+    getProviderNames,
+    getProviderConfig,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    fetchIdentity
+}
@@ -0,0 +1,61 @@
+import mongoose from "mongoose"
+import { ApiError } from "./ApiError.js"
+
+const DEFAULT_LIMIT = 10
+const MAX_LIMIT = 50
+
+// read page & limit from req.query and keep them in a sane range
+const getPaginationOptions = (query = {}) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    return { page, limit }
+}
+
+// mongoose-aggregate-paginate only gives back docs, total, page and pages
+// so we reshape it into the metadata our frontend expects
+const paginateAggregate = async (Model, pipeline, { page, limit }) => {
+    const result = await Model.aggregatePaginate(Model.aggregate(pipeline), { page, limit })
+    const totalPages = Math.ceil(result.total / result.limit) || 1
+    return {
+        docs: result.docs,
+        totalDocs: result.total,
+        limit: result.limit,
+        page: result.page,
+        totalPages,
+        hasPrevPage: result.page > 1,
+        hasNextPage: result.page < totalPages,
+        prevPage: result.page > 1 ? result.page - 1 : null,
+        nextPage: result.page < totalPages ? result.page + 1 : null
+    }
+}
+
+// cursors point at the last item of a page as "<createdAt ms>_<_id>"
+// so new items arriving on top never shift the pages below
+const encodeCursor = (doc) => {
+    if (!doc) return null
+    return Buffer.from(`${new Date(doc.createdAt).getTime()}_${doc._id}`).toString("base64url")
+}
+
+const decodeCursor = (cursor) => {
+    if (!cursor) return null
+    const [time, id] = Buffer.from(String(cursor), "base64url").toString().split("_")
+    const createdAt = new Date(Number(time))
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid cursor")
+    }
+    return { createdAt, _id: new mongoose.Types.ObjectId(id) }
+}
+
+// $match stage for everything older than the cursor in a { createdAt: -1, _id: -1 } sort
+const cursorMatch = (cursor) => {
+    const decoded = decodeCursor(cursor)
+    if (!decoded) return {}
+    return {
+        $or: [
+            { createdAt: { $lt: decoded.createdAt } },
+            { createdAt: decoded.createdAt, _id: { $lt: decoded._id } }
+        ]
+    }
+}
+
+export { getPaginationOptions, paginateAggregate, encodeCursor, cursorMatch }
@@ -0,0 +1,28 @@
+import { createMemoryStore } from "./memory.store.js";
+import { createMongoStore } from "./mongo.store.js";
+
+// a store has `increment(key, windowMs)` returning { count, resetAt } and `reset(key)`
+const stores = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+}
+
+let store = null
+
+const getRateLimitStore = () => {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || "memory"
+        if (!stores[name]) {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}", use one of ${Object.keys(stores).join(", ")}`)
+        }
+        store = stores[name]()
+    }
+    return store
+}
+
+// lets tests swap in their own store
+const setRateLimitStore = (customStore) => {
+    store = customStore
+}
+
+export { getRateLimitStore, setRateLimitStore }
@@ -0,0 +1,32 @@
+// keeps counters in this process, fine for a single instance and for tests
+const createMemoryStore = () => {
+    const hits = new Map()
+
+    // drop finished windows now and then so the map does not grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now()
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key)
+        }
+    }, 60 * 1000)
+    cleanup.unref()
+
+    return {
+        name: "memory",
+        increment: async (key, windowMs) => {
+            const now = Date.now()
+            let entry = hits.get(key)
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs }
+                hits.set(key, entry)
+            }
+            entry.count += 1
+            return { count: entry.count, resetAt: new Date(entry.resetAt) }
+        },
+        reset: async (key) => {
+            hits.delete(key)
+        }
+    }
+}
+
+export { createMemoryStore }
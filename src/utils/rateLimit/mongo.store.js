@@ -0,0 +1,41 @@
+import { RateLimit } from "../../models/rateLimit.model.js";
+
+// counters live in mongodb so limits hold across several app instances
+const createMongoStore = () => {
+    return {
+        name: "mongo",
+        increment: async (key, windowMs) => {
+            const now = new Date()
+            const isActive = { $gt: ["$expiresAt", now] }
+            // one atomic update: keep counting inside the window, start over once it ended
+            const upsertEntry = () => RateLimit.findOneAndUpdate(
+                { key },
+                [
+                    {
+                        $set: {
+                            key,
+                            count: { $cond: [isActive, { $add: ["$count", 1] }, 1] },
+                            expiresAt: { $cond: [isActive, "$expiresAt", new Date(now.getTime() + windowMs)] }
+                        }
+                    }
+                ],
+                { upsert: true, new: true }
+            )
+
+            let entry
+            try {
+                entry = await upsertEntry()
+            } catch (error) {
+                // two first hits raced to insert the key, the loser finds it now and counts on it
+                if (error?.code !== 11000) throw error
+                entry = await upsertEntry()
+            }
+            return { count: entry.count, resetAt: entry.expiresAt }
+        },
+        reset: async (key) => {
+            await RateLimit.deleteOne({ key })
+        }
+    }
+}
+
+export { createMongoStore }
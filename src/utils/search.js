@@ -0,0 +1,30 @@
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const MAX_TERMS = 5
+const MIN_FUZZY_LENGTH = 4
+
+// typo tolerant pattern for plain mongodb: every term may have one wrong, one extra
+// or two swapped characters, so "vidoe" still finds "video" and "tutorail" finds "tutorial"
+const fuzzyRegex = (query) => {
+    const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean).slice(0, MAX_TERMS)
+    const alternatives = terms.flatMap((term) => {
+        const chars = [...term].slice(0, 30)
+        const part = (from, to) => escapeRegex(chars.slice(from, to).join(""))
+        if (chars.length < MIN_FUZZY_LENGTH) return [part(0)]
+        const variants = new Set([part(0)])
+        chars.forEach((char, i) => {
+            variants.add(`${part(0, i)}.${part(i + 1)}`)        // one substituted character
+            variants.add(`${part(0, i)}${part(i + 1)}`)         // one extra character typed
+            if (i < chars.length - 1) {                         // two neighbours swapped
+                variants.add(`${part(0, i)}${escapeRegex(chars[i + 1] + char)}${part(i + 2)}`)
+            }
+        })
+        return [...variants]
+    })
+    return new RegExp(alternatives.join("|"), "i")
+}
+
+// anchored pattern for autocomplete
+const prefixRegex = (query, flags = "i") => new RegExp(`^${escapeRegex(query.trim())}`, flags)
+
+export { escapeRegex, fuzzyRegex, prefixRegex }
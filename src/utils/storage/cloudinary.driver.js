@@ -0,0 +1,93 @@
+import {v2 as cloudinary} from 'cloudinary';
+import fs from 'fs';
+import path from 'path';
+
+// the parameters cloudinary accepts in a transformation segment, e.g. c_fill,w_300 or t_thumbnail
+const TRANSFORMATION_PARAMS = [
+    "a", "ac", "af", "ar", "b", "bo", "br", "c", "co", "cs", "d", "dl", "dn", "dpr", "du", "e", "eo",
+    "f", "fl", "fn", "fps", "g", "h", "if", "ki", "l", "o", "p", "pg", "q", "r", "so", "sp", "t",
+    "u", "vc", "vs", "w", "x", "y", "z"
+]
+
+const isTransformationSegment = (segment) => segment.split(",").every((part) => {
+    const [name] = part.split("_")
+    return part.includes("_") && (TRANSFORMATION_PARAMS.includes(name) || name.startsWith("$"))
+})
+
+// cloudinary urls look like .../<resource>/upload/[<transformations>/...][v1712345678/]<folder>/<public_id>.<ext>
+// everything before the version is a transformation, without a version they are recognised by their parameters
+const getPublicId = (url) => {
+    if (!url || !url.includes("res.cloudinary.com")) return null;
+    const match = url.split(/[?#]/)[0].match(/\/upload\/(.+)$/)
+    if (!match) return null
+
+    let segments = match[1].split("/")
+    const versionIndex = segments.findIndex((segment) => /^v\d+$/.test(segment))
+    if (versionIndex !== -1) {
+        segments = segments.slice(versionIndex + 1)
+    } else {
+        while (segments.length > 1 && isTransformationSegment(segments[0])) segments = segments.slice(1)
+    }
+
+    const publicId = segments.join("/").replace(/\.[a-zA-Z0-9]+$/, "")
+    return publicId ? decodeURIComponent(publicId) : null
+}
+
+// stores media on cloudinary, the url cloudinary returns is what we save in the db
+const createCloudinaryDriver = () => {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_CLOUD_API_KEY,
+        api_secret: process.env.CLOUDINARY_CLOUD_API_SECRET
+    })
+
+    return {
+        name: "cloudinary",
+        upload: async (localFilePath, { folder, resourceType = "auto" } = {}) => {
+            const response = await cloudinary.uploader.upload(localFilePath, {
+                resource_type: resourceType,
+                folder
+            })
+            console.log("file is uploaded on cloudinary", response.url)
+            return {
+                url: response.secure_url || response.url,
+                key: response.public_id,
+                duration: response.duration,
+                bytes: response.bytes,
+                format: response.format
+            }
+        },
+        remove: async (url, { resourceType = "image" } = {}) => {
+            const publicId = getPublicId(url)
+            if (!publicId) return false;
+            const response = await cloudinary.uploader.destroy(publicId, {
+                resource_type: resourceType
+            })
+            return response?.result === "ok"
+        },
+        // raw uploads keep their relative path in the public id so HLS playlists still find their segments
+        uploadDirectory: async (localDirectory, { folder }) => {
+            const entries = await fs.promises.readdir(localDirectory, { recursive: true, withFileTypes: true })
+            let baseUrl = null
+            for (const entry of entries.filter((item) => item.isFile())) {
+                const filePath = path.join(entry.parentPath || entry.path, entry.name)
+                const relativePath = path.relative(localDirectory, filePath).split(path.sep).join("/")
+                const response = await cloudinary.uploader.upload(filePath, {
+                    resource_type: "raw",
+                    public_id: `${folder}/${relativePath}`,
+                    overwrite: true
+                })
+                baseUrl = baseUrl || response.secure_url.slice(0, response.secure_url.length - relativePath.length - 1)
+            }
+            return { baseUrl }
+        },
+        removeFolder: async (folder) => {
+            await cloudinary.api.delete_resources_by_prefix(`${folder}/`, { resource_type: "raw" })
+            return true
+        },
+        owns: (url) => Boolean(getPublicId(url)),
+        getUrl: (key) => cloudinary.url(key, { secure: true })
+    }
+}
+
+export { createCloudinaryDriver, getPublicId }
@@ -0,0 +1,78 @@
+import fs from "fs";
+import { createCloudinaryDriver } from "./cloudinary.driver.js";
+import { createLocalDriver } from "./local.driver.js";
+
+// a driver has `upload(localFilePath, { folder, resourceType })` returning { url, key, duration, bytes, format },
+// `remove(url, { resourceType })`, `uploadDirectory(localDirectory, { folder })` returning { baseUrl },
+// `removeFolder(folder)`, `owns(url)` and `getUrl(key)`
+const drivers = {
+    cloudinary: createCloudinaryDriver,
+    local: createLocalDriver
+}
+
+let storage = null
+
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || "cloudinary"
+        if (!drivers[name]) {
+            throw new Error(`Unknown STORAGE_DRIVER "${name}", use one of ${Object.keys(drivers).join(", ")}`)
+        }
+        storage = drivers[name]()
+    }
+    return storage
+}
+
+// lets tests swap in their own driver
+const setStorage = (customStorage) => {
+    storage = customStorage
+}
+
+const removeTempFile = async (localFilePath) => {
+    try {
+        await fs.promises.unlink(localFilePath)
+    } catch (error) {
+        if (error.code !== "ENOENT") console.log("Error while removing temp file", error)
+    }
+}
+
+// uploads a multer temp file and always removes it from public/temp afterwards
+// returns null when there is nothing to upload or the upload failed
+const uploadFile = async (localFilePath, options = {}) => {
+    if (!localFilePath) return null;
+    try {
+        return await getStorage().upload(localFilePath, options)
+    } catch (error) {
+        console.log("Error while uploading file", error)
+        return null
+    } finally {
+        await removeTempFile(localFilePath)
+    }
+}
+
+// deletes a stored file by the url saved in the db, a failed delete is logged and never breaks the request
+const deleteFile = async (url, options = {}) => {
+    if (!url) return false;
+    try {
+        const driver = getStorage()
+        // media uploaded through another driver (or an external url given at signup) is not ours to delete
+        if (!driver.owns(url)) return false
+        return await driver.remove(url, options)
+    } catch (error) {
+        console.log("Error while deleting file", error)
+        return false
+    }
+}
+
+// removes everything stored under a folder, e.g. the HLS renditions of a video
+const deleteFolder = async (folder) => {
+    if (!folder) return false;
+    try {
+        return await getStorage().removeFolder(folder)
+    } catch (error) {
+        console.log("Error while deleting folder", error)
+        return false
+    }
+}
+
+export { getStorage, setStorage, uploadFile, deleteFile, deleteFolder, removeTempFile }
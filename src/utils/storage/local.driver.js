@@ -0,0 +1,89 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// outside public/ on purpose: express.static("public") must not be able to reach it by any spelling
+// of the path, the only way in is servePublicUploads (and the stream endpoint for videos)
+const STORAGE_DIR = path.resolve("storage")
+const UPLOADS_PREFIX = "uploads"
+const UPLOADS_DIR = path.join(STORAGE_DIR, UPLOADS_PREFIX)
+
+// images anybody may load, like from a cdn. videos and their HLS renditions are only
+// handed out by GET /videos/:videoId/stream after its access checks, see middlewares/uploads.middleware.js
+const PUBLIC_UPLOAD_FOLDERS = ["avatars", "cover-images", "thumbnails"]
+
+// keeps media on this machine under storage/uploads so the app can run and be tested without any cloud account
+const createLocalDriver = () => {
+    const baseUrl = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "")
+
+    const getUrl = (key) => `${baseUrl}/${key}`
+
+    // key is the path below storage/, e.g. uploads/videos/1712345678-ab12cd.mp4
+    const getKey = (url) => {
+        if (!url) return null
+        const index = url.indexOf(`/${UPLOADS_PREFIX}/`)
+        if (index === -1) return null
+        const key = decodeURIComponent(url.slice(index + 1).split(/[?#]/)[0])
+        const filePath = path.resolve(STORAGE_DIR, key)
+        // never let a crafted url point outside storage/uploads
+        if (!filePath.startsWith(UPLOADS_DIR + path.sep)) return null
+        return key
+    }
+
+    const getLocalPath = (url) => {
+        const key = getKey(url)
+        return key ? path.join(STORAGE_DIR, key) : null
+    }
+
+    return {
+        name: "local",
+        upload: async (localFilePath, { folder = "misc" } = {}) => {
+            // temp files get their extension from the detected type (multer.middleware.js), never from the client
+            const extension = path.extname(localFilePath).toLowerCase()
+            const fileName = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extension}`
+            const key = path.posix.join(UPLOADS_PREFIX, folder, fileName)
+            const destination = path.join(STORAGE_DIR, key)
+
+            await fs.promises.mkdir(path.dirname(destination), { recursive: true })
+            await fs.promises.copyFile(localFilePath, destination)
+            const { size } = await fs.promises.stat(destination)
+
+            return {
+                url: getUrl(key),
+                key,
+                bytes: size,
+                format: extension.replace(".", "")
+            }
+        },
+        remove: async (url) => {
+            const filePath = getLocalPath(url)
+            if (!filePath) return false
+            try {
+                await fs.promises.unlink(filePath)
+                return true
+            } catch (error) {
+                if (error.code === "ENOENT") return false
+                throw error
+            }
+        },
+        // copies a whole directory keeping its layout, HLS playlists point at their segments by relative path
+        uploadDirectory: async (localDirectory, { folder }) => {
+            const destination = path.join(UPLOADS_DIR, folder)
+            await fs.promises.rm(destination, { recursive: true, force: true })
+            await fs.promises.mkdir(path.dirname(destination), { recursive: true })
+            await fs.promises.cp(localDirectory, destination, { recursive: true })
+            return { baseUrl: getUrl(path.posix.join(UPLOADS_PREFIX, folder)) }
+        },
+        removeFolder: async (folder) => {
+            const destination = path.resolve(UPLOADS_DIR, folder)
+            if (!destination.startsWith(UPLOADS_DIR + path.sep)) return false
+            await fs.promises.rm(destination, { recursive: true, force: true })
+            return true
+        },
+        owns: (url) => Boolean(getKey(url)),
+        getUrl,
+        getLocalPath
+    }
+}
+
+export { createLocalDriver, UPLOADS_DIR, PUBLIC_UPLOAD_FOLDERS }
@@ -0,0 +1,17 @@
+import crypto from "crypto";
+
+// we never store raw tokens, only their sha256 so a leaked db cannot be replayed
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex")
+
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString("hex")
+
+// hmac for values we hand out and get back later, e.g. signed stream urls
+const signValue = (value, secret) => crypto.createHmac("sha256", secret).update(String(value)).digest("hex")
+
+const verifySignature = (value, signature, secret) => {
+    const expected = Buffer.from(signValue(value, secret), "hex")
+    const received = Buffer.from(String(signature || ""), "hex")
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+export { hashToken, generateRandomToken, signValue, verifySignature }
@@ -0,0 +1,117 @@
+import crypto from "crypto";
+
+// time based one-time passwords (RFC 6238) as authenticator apps expect them:
+// sha1, 6 digits, a new code every 30 seconds
+
+const STEP_SECONDS = 30
+const DIGITS = 6
+// codes of the step before and after are accepted too, phones' clocks drift
+const DRIFT_STEPS = 1
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+const base32Encode = (buffer) => {
+    let bits = ""
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, "0")
+    return bits
+        .padEnd(Math.ceil(bits.length / 5) * 5, "0")
+        .match(/.{5}/g)
+        .map((chunk) => BASE32_ALPHABET[parseInt(chunk, 2)])
+        .join("")
+}
+
+const base32Decode = (text) => {
+    const bits = text
+        .toUpperCase()
+        .replace(/[\s=]/g, "")
+        .split("")
+        .map((char) => {
+            const value = BASE32_ALPHABET.indexOf(char)
+            if (value === -1) throw new Error("Invalid base32 secret")
+            return value.toString(2).padStart(5, "0")
+        })
+        .join("")
+    return Buffer.from((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)))
+}
+
+// 20 random bytes, the size of a sha1 key
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20))
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS)
+
+const generateTotp = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8)
+    counter.writeBigUInt64BE(BigInt(step))
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+    // dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0")
+}
+
+// returns the step the code belongs to, or null when it does not match,
+// steps up to `afterStep` are refused so a code that was used once cannot be replayed
+const verifyTotp = (secret, code, { afterStep = -1 } = {}) => {
+    const normalized = String(code).replace(/\s/g, "")
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null
+
+    const now = currentStep()
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        if (step <= afterStep) continue
+        const expected = Buffer.from(generateTotp(secret, step))
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return step
+    }
+    return null
+}
+
+// what the authenticator app scans from the qr code
+const buildOtpauthUri = (secret, { issuer, account }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`)
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    })
+    return `otpauth://totp/${label}?${params}`
+}
+
+// the secret is stored encrypted, a leaked database alone must not be enough to generate codes.
+// the key has its own variable (checked by checkEnv): rotating the jwt secrets after a leak must not
+// make every stored secret unreadable
+const encryptionKey = () => {
+    if (!process.env.TWO_FACTOR_SECRET_KEY) {
+        throw new Error("TWO_FACTOR_SECRET_KEY is not set")
+    }
+    return crypto.createHash("sha256").update(process.env.TWO_FACTOR_SECRET_KEY).digest()
+}
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv)
+    const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()])
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".")
+}
+
+// returns null when the secret cannot be read, most likely TWO_FACTOR_SECRET_KEY changed since it was stored
+const decryptSecret = (value) => {
+    const key = encryptionKey()
+    try {
+        const [iv, authTag, encrypted] = value.split(".").map((part) => Buffer.from(part, "base64url"))
+        const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv)
+        decipher.setAuthTag(authTag)
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8")
+    } catch (error) {
+        return null
+    }
+}
+
+export {
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+    encryptSecret,
+    decryptSecret
+}
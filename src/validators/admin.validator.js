@@ -0,0 +1,33 @@
+import { USER_ROLES, USER_STATUSES } from "../models/user.model.js";
+import { paginationQuery } from "./common.validator.js";
+
+const getUsersQuery = {
+    ...paginationQuery,
+    q: { type: "string", maxLength: 100 },
+    role: { type: "string", oneOf: USER_ROLES },
+    status: { type: "string", oneOf: USER_STATUSES }
+}
+
+const suspendUserSchema = {
+    reason: { type: "string", required: true, maxLength: 500 },
+    until: {
+        type: "string",
+        custom: (value) => (Number.isNaN(Date.parse(value)) || Date.parse(value) <= Date.now()
+            ? "until must be a date in the future"
+            : null)
+    }
+}
+
+const banUserSchema = {
+    reason: { type: "string", required: true, maxLength: 500 }
+}
+
+const changeRoleSchema = {
+    role: { type: "string", required: true, oneOf: USER_ROLES }
+}
+
+const moderateVideoSchema = {
+    reason: { type: "string", required: true, maxLength: 500 }
+}
+
+export { getUsersQuery, suspendUserSchema, banUserSchema, changeRoleSchema, moderateVideoSchema }
@@ -0,0 +1,10 @@
+const commentSchema = {
+    content: { type: "string", required: true, maxLength: 1000 },
+    parentComment: { type: "objectId" }
+}
+
+const updateCommentSchema = {
+    content: { type: "string", required: true, maxLength: 1000 }
+}
+
+export { commentSchema, updateCommentSchema }
@@ -0,0 +1,13 @@
+// rules reused by several routers
+
+const objectIdParam = (...names) =>
+    Object.fromEntries(names.map((name) => [name, { type: "objectId", required: true }]))
+
+const paginationQuery = {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 50 }
+}
+
+const sortTypeRule = { type: "string", oneOf: ["asc", "desc"] }
+
+export { objectIdParam, paginationQuery, sortTypeRule }
@@ -0,0 +1,13 @@
+import { paginationQuery, sortTypeRule } from "./common.validator.js";
+
+const channelVideosQuery = {
+    ...paginationQuery,
+    sortBy: { type: "string", oneOf: ["createdAt", "views", "likesCount", "commentsCount"] },
+    sortType: sortTypeRule
+}
+
+const timeSeriesQuery = {
+    days: { type: "integer", min: 1, max: 365 }
+}
+
+export { channelVideosQuery, timeSeriesQuery }
@@ -0,0 +1,16 @@
+import { paginationQuery } from "./common.validator.js";
+import { NOTIFICATION_TYPES } from "../models/notification.model.js";
+
+const getNotificationsQuery = {
+    ...paginationQuery,
+    unread: { type: "boolean" }
+}
+
+const streamQuery = {
+    lastEventId: { type: "objectId" }
+}
+
+// every type is optional, true receives it and false mutes it
+const preferencesSchema = Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, { type: "boolean" }]))
+
+export { getNotificationsQuery, streamQuery, preferencesSchema }
@@ -0,0 +1,22 @@
+const providerParam = {
+    provider: { type: "string", required: true, pattern: /^[a-z0-9_-]{1,40}$/i, message: "provider is invalid" }
+}
+
+// only paths inside the client app, "//evil.com" would leave it
+const authorizeQuery = {
+    redirectTo: {
+        type: "string",
+        maxLength: 500,
+        pattern: /^\/(?![/\\])/,
+        message: "redirectTo must be a path starting with /"
+    }
+}
+
+const callbackQuery = {
+    code: { type: "string", maxLength: 2000 },
+    state: { type: "string", maxLength: 200 },
+    error: { type: "string", maxLength: 200 },
+    error_description: { type: "string", maxLength: 1000 }
+}
+
+export { providerParam, authorizeQuery, callbackQuery }
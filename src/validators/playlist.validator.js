@@ -0,0 +1,17 @@
+const createPlaylistSchema = {
+    name: { type: "string", required: true, maxLength: 100 },
+    description: { type: "string", maxLength: 1000 },
+    isPrivate: { type: "boolean" }
+}
+
+const updatePlaylistSchema = {
+    name: { type: "string", maxLength: 100 },
+    description: { type: "string", maxLength: 1000 },
+    isPrivate: { type: "boolean" }
+}
+
+const moveVideoSchema = {
+    position: { type: "integer", required: true, min: 0 }
+}
+
+export { createPlaylistSchema, updatePlaylistSchema, moveVideoSchema }
@@ -0,0 +1,34 @@
+import { REPORT_TARGET_TYPES, REPORT_REASONS, REPORT_STATUSES } from "../models/report.model.js";
+import { paginationQuery } from "./common.validator.js";
+
+const submitReportSchema = {
+    targetType: { type: "string", required: true, oneOf: REPORT_TARGET_TYPES },
+    targetId: { type: "objectId", required: true },
+    reason: { type: "string", required: true, oneOf: REPORT_REASONS },
+    details: { type: "string", maxLength: 1000 }
+}
+
+const getReportsQuery = {
+    ...paginationQuery,
+    status: { type: "string", oneOf: REPORT_STATUSES },
+    targetType: { type: "string", oneOf: REPORT_TARGET_TYPES },
+    reason: { type: "string", oneOf: REPORT_REASONS }
+}
+
+const resolveReportSchema = {
+    note: { type: "string", maxLength: 500 },
+    unpublish: { type: "boolean" }
+}
+
+const dismissReportSchema = {
+    note: { type: "string", maxLength: 500 }
+}
+
+const moderationLogQuery = {
+    ...paginationQuery,
+    actor: { type: "objectId" },
+    action: { type: "string" },
+    targetId: { type: "objectId" }
+}
+
+export { submitReportSchema, getReportsQuery, resolveReportSchema, dismissReportSchema, moderationLogQuery }
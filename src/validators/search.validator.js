@@ -0,0 +1,13 @@
+import { paginationQuery } from "./common.validator.js";
+
+const searchQuery = {
+    ...paginationQuery,
+    q: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    type: { type: "string", oneOf: ["all", "video", "channel", "tweet"] }
+}
+
+const suggestionsQuery = {
+    q: { type: "string", required: true, minLength: 1, maxLength: 50 }
+}
+
+export { searchQuery, suggestionsQuery }
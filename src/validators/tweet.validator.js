@@ -0,0 +1,10 @@
+const tweetSchema = {
+    content: { type: "string", required: true, maxLength: 280 }
+}
+
+const timelineQuery = {
+    limit: { type: "integer", min: 1, max: 50 },
+    cursor: { type: "string" }
+}
+
+export { tweetSchema, timelineQuery }
@@ -0,0 +1,99 @@
+const USERNAME_REGEX = /^[a-zA-Z0-9_.]{3,30}$/
+// at least 8 characters with a letter and a digit
+const PASSWORD_REGEX = /^(?=.*[A-Za-z])(?=.*\d).{8,128}$/
+
+const usernameRule = {
+    type: "string",
+    pattern: USERNAME_REGEX,
+    message: "username must be 3-30 characters of letters, numbers, _ or ."
+}
+
+const passwordRule = {
+    type: "string",
+    pattern: PASSWORD_REGEX,
+    message: "password must be at least 8 characters and contain a letter and a number"
+}
+
+const registerSchema = {
+    fullName: { type: "string", required: true, minLength: 2, maxLength: 60 },
+    email: { type: "email", required: true },
+    username: { ...usernameRule, required: true },
+    password: { ...passwordRule, required: true },
+    avatar: { type: "string" },
+    coverImage: { type: "string" }
+}
+
+const loginSchema = {
+    username: { type: "string", requiredWithout: "email" },
+    email: { type: "email", requiredWithout: "username" },
+    password: { type: "string", required: true }
+}
+
+const changePasswordSchema = {
+    oldPassword: { type: "string", required: true },
+    newPassword: {
+        ...passwordRule,
+        required: true,
+        custom: (value, data) => (value === data.oldPassword ? "newPassword must be different from oldPassword" : null)
+    }
+}
+
+const updateAccountSchema = {
+    fullname: { type: "string", required: true, minLength: 2, maxLength: 60 },
+    email: { type: "email", required: true }
+}
+
+const channelProfileParams = {
+    username: { ...usernameRule, required: true }
+}
+
+const verifyEmailSchema = {
+    token: { type: "string", required: true }
+}
+
+const forgotPasswordSchema = {
+    email: { type: "email", required: true }
+}
+
+const resetPasswordSchema = {
+    token: { type: "string", required: true },
+    newPassword: { ...passwordRule, required: true }
+}
+
+const twoFactorCodeRule = {
+    type: "string",
+    pattern: /^\d{6}$/,
+    message: "code must be the 6 digits from the authenticator app"
+}
+
+const twoFactorConfirmSchema = {
+    code: { ...twoFactorCodeRule, required: true }
+}
+
+// a code from the app or, when the phone is gone, one of the recovery codes
+const twoFactorCodeSchema = {
+    code: { ...twoFactorCodeRule, requiredWithout: "recoveryCode" },
+    recoveryCode: { type: "string", maxLength: 20, requiredWithout: "code" }
+}
+
+// without challengeToken the one from the cookie of an OAuth login is used
+const twoFactorLoginSchema = {
+    challengeToken: { type: "string" },
+    ...twoFactorCodeSchema
+}
+
+export {
+    usernameRule,
+    passwordRule,
+    registerSchema,
+    loginSchema,
+    changePasswordSchema,
+    updateAccountSchema,
+    channelProfileParams,
+    verifyEmailSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    twoFactorConfirmSchema,
+    twoFactorCodeSchema,
+    twoFactorLoginSchema
+}
@@ -0,0 +1,51 @@
+import { paginationQuery, sortTypeRule } from "./common.validator.js";
+import { STREAM_URL_MAX_TTL_SECONDS } from "../constants.js";
+
+const getVideosQuery = {
+    ...paginationQuery,
+    sortBy: { type: "string", oneOf: ["createdAt", "views", "duration"] },
+    sortType: sortTypeRule,
+    owner: { type: "objectId" },
+    isPublished: { type: "boolean" }
+}
+
+const publishVideoSchema = {
+    title: { type: "string", required: true, maxLength: 100 },
+    description: { type: "string", required: true, maxLength: 5000 },
+    isPublished: { type: "boolean" }
+}
+
+const updateVideoSchema = {
+    title: { type: "string", maxLength: 100 },
+    description: { type: "string", maxLength: 5000 }
+}
+
+const streamUrlQuery = {
+    expiresIn: { type: "integer", min: 60, max: STREAM_URL_MAX_TTL_SECONDS }
+}
+
+// both or neither, without them the stream needs a logged in user
+const streamVideoQuery = {
+    expires: {
+        type: "integer",
+        custom: (value, data) => data.signature ? null : "signature is required with expires"
+    },
+    signature: {
+        type: "string",
+        pattern: /^[a-f0-9]{64}$/,
+        message: "signature is invalid",
+        custom: (value, data) => data.expires ? null : "expires is required with signature"
+    }
+}
+
+// express hands over the path below /stream/ as its segments, none of them may climb out of the video's folder
+const hlsFileParam = {
+    file: {
+        required: true,
+        custom: (value) => (Array.isArray(value) && value.length <= 2 && value.every((part) => /^[\w-]+(\.[a-z0-9]+)?$/i.test(part))
+            ? null
+            : "file is invalid")
+    }
+}
+
+export { getVideosQuery, publishVideoSchema, updateVideoSchema, streamUrlQuery, streamVideoQuery, hlsFileParam }
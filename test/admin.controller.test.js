@@ -0,0 +1,64 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { User } from "../src/models/user.model.js";
+import { Session } from "../src/models/session.model.js";
+import { ModerationLog } from "../src/models/moderationLog.model.js";
+import { suspendUser, reinstateUser } from "../src/controllers/admin.controller.js";
+
+const staff = (role) => ({ _id: new mongoose.Types.ObjectId(), role })
+
+// the target account as the database would return it, saving only marks it as saved
+const givenTarget = (fields) => {
+    const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), username: "target", status: "active", role: "user", ...fields })
+    mock.method(User, "findById", () => ({ select: async () => user }))
+    mock.method(user, "save", async () => user)
+    mock.method(Session, "updateMany", async () => ({}))
+    mock.method(ModerationLog, "record", async () => ({}))
+    return user
+}
+
+// runs a handler and returns the status it answered with, or the status of the error it passed on
+const run = (handler, user, targetId, body = {}) => new Promise((resolve) => {
+    const res = {
+        status: (code) => ({ json: () => resolve(code) })
+    }
+    handler({ user, params: { userId: targetId.toString() }, body }, res, (error) => resolve(error?.statusCode))
+})
+
+afterEach(() => mock.restoreAll())
+
+test("a moderator can suspend and reinstate a regular user", async () => {
+    const target = givenTarget({ status: "active" })
+    assert.equal(await run(suspendUser, staff("moderator"), target._id, { reason: "spam" }), 200)
+    assert.equal(target.status, "suspended")
+    assert.equal(await run(reinstateUser, staff("moderator"), target._id), 200)
+    assert.equal(target.status, "active")
+})
+
+test("a moderator cannot lift or soften a ban", async () => {
+    const target = givenTarget({ status: "banned" })
+    assert.equal(await run(reinstateUser, staff("moderator"), target._id), 403)
+    assert.equal(await run(suspendUser, staff("moderator"), target._id, { reason: "spam" }), 403)
+    assert.equal(target.status, "banned")
+})
+
+test("an admin can reinstate a banned user", async () => {
+    const target = givenTarget({ status: "banned" })
+    assert.equal(await run(reinstateUser, staff("admin"), target._id), 200)
+    assert.equal(target.status, "active")
+})
+
+test("a moderator cannot act on other staff", async () => {
+    for (const role of ["moderator", "admin"]) {
+        const target = givenTarget({ role })
+        assert.equal(await run(suspendUser, staff("moderator"), target._id, { reason: "spam" }), 403)
+        mock.restoreAll()
+    }
+})
+
+test("nobody can moderate their own account", async () => {
+    const admin = staff("admin")
+    givenTarget({ _id: admin._id })
+    assert.equal(await run(suspendUser, admin, admin._id, { reason: "spam" }), 400)
+})
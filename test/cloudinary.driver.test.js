@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getPublicId } from "../src/utils/storage/cloudinary.driver.js";
+
+const base = "https://res.cloudinary.com/demo/image/upload"
+
+test("getPublicId reads the id after the version", () => {
+    assert.equal(getPublicId(`${base}/v1712345678/avatars/abc123.png`), "avatars/abc123")
+})
+
+test("getPublicId skips transformations before the version", () => {
+    assert.equal(getPublicId(`${base}/c_fill,w_300/v1712345678/avatars/abc123.png`), "avatars/abc123")
+})
+
+test("getPublicId skips transformations without a version", () => {
+    assert.equal(getPublicId(`${base}/c_fill,w_300/avatars/abc123.png`), "avatars/abc123")
+    assert.equal(getPublicId(`${base}/c_fill,w_300/e_sepia/q_auto/avatars/abc123.jpg`), "avatars/abc123")
+    assert.equal(getPublicId(`${base}/t_thumbnail/abc123.jpg?_a=xyz`), "abc123")
+})
+
+test("getPublicId keeps folders that only look like a transformation", () => {
+    assert.equal(getPublicId(`${base}/my_folder/abc123.png`), "my_folder/abc123")
+    assert.equal(getPublicId(`${base}/avatars/abc123.png`), "avatars/abc123")
+})
+
+test("getPublicId ignores urls that are not cloudinary's", () => {
+    assert.equal(getPublicId("https://example.com/upload/avatars/abc123.png"), null)
+    assert.equal(getPublicId(""), null)
+})
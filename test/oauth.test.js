@@ -0,0 +1,187 @@
+import { test, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { validate } from "../src/middlewares/validate.middleware.js";
+import { authorizeQuery } from "../src/validators/oauth.validator.js";
+import { User } from "../src/models/user.model.js";
+import { Session } from "../src/models/session.model.js";
+import { OAuthState } from "../src/models/oauthState.model.js";
+
+Object.assign(process.env, {
+    OAUTH_PROVIDERS: "mock",
+    OAUTH_MOCK_CLIENT_ID: "client-id",
+    ACCESS_TOKEN_SECRET: "access-test-secret",
+    REFRESH_TOKEN_SECRET: "refresh-test-secret",
+    ACCESS_TOKEN_EXPIRY: "1h",
+    REFRESH_TOKEN_EXPIRY: "1d"
+})
+
+// a tiny OpenID Connect provider: sends the browser straight back and signs what the test asks for
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: "key-1", use: "sig", alg: "RS256" }
+const authorizations = new Map()
+let issuer, idTokenClaims
+
+const provider = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer)
+    const send = (status, body) => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body))
+
+    if (url.pathname === "/.well-known/openid-configuration") {
+        return send(200, { issuer, authorization_endpoint: `${issuer}/auth`, token_endpoint: `${issuer}/token`, jwks_uri: `${issuer}/jwks` })
+    }
+    if (url.pathname === "/jwks") return send(200, { keys: [jwk] })
+    if (url.pathname === "/auth") {
+        const code = crypto.randomBytes(8).toString("hex")
+        authorizations.set(code, Object.fromEntries(url.searchParams))
+        const callback = new URL(url.searchParams.get("redirect_uri"))
+        callback.search = new URLSearchParams({ code, state: url.searchParams.get("state") })
+        return res.writeHead(302, { Location: callback.toString() }).end()
+    }
+    if (url.pathname === "/token") {
+        let body = ""
+        for await (const chunk of req) body += chunk
+        const authorization = authorizations.get(new URLSearchParams(body).get("code"))
+        const idToken = jwt.sign(
+            { iss: issuer, aud: "client-id", nonce: authorization.nonce, ...idTokenClaims },
+            privateKey,
+            { algorithm: "RS256", keyid: "key-1", expiresIn: 60 }
+        )
+        return send(200, { access_token: "access", id_token: idToken })
+    }
+    send(404, {})
+})
+
+let server, baseUrl
+let pendingLogins, linkedUser, emailUser, updates
+
+const userDoc = (fields) => User.hydrate({ _id: new mongoose.Types.ObjectId(), username: "someone", status: "active", ...fields })
+const queryOf = (doc) => Object.assign(Promise.resolve(doc), { select: async () => doc })
+
+// authorize, the provider's redirect and the callback, the way a browser follows them
+const login = async (claims, { withCookie = true } = {}) => {
+    idTokenClaims = { sub: "subject-1", email: "someone@example.com", email_verified: true, ...claims }
+    const start = await fetch(`${baseUrl}/api/v1/oauth/mock/authorize`, { redirect: "manual" })
+    const cookie = start.headers.get("set-cookie").split(";")[0]
+    const providerRedirect = await fetch(start.headers.get("location"), { redirect: "manual" })
+    const callbackUrl = providerRedirect.headers.get("location")
+    const callback = await fetch(callbackUrl, { redirect: "manual", headers: withCookie ? { cookie } : {} })
+    return { status: callback.status, body: await callback.json(), callbackUrl, cookie }
+}
+
+before(async () => {
+    await new Promise((resolve) => provider.listen(0, resolve))
+    issuer = `http://127.0.0.1:${provider.address().port}`
+    process.env.OAUTH_MOCK_ISSUER = issuer
+
+    const { default: app } = await import("../src/app.js")
+    server = app.listen(0)
+    await new Promise((resolve) => server.once("listening", resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+    process.env.OAUTH_REDIRECT_BASE_URL = baseUrl
+})
+
+beforeEach(() => {
+    pendingLogins = []
+    linkedUser = null
+    emailUser = null
+    updates = []
+
+    mock.method(OAuthState, "create", async (doc) => pendingLogins.push(doc))
+    mock.method(OAuthState, "findOneAndDelete", async ({ stateHash }) => {
+        const index = pendingLogins.findIndex((doc) => doc.stateHash === stateHash)
+        return index === -1 ? null : pendingLogins.splice(index, 1)[0]
+    })
+    mock.method(User, "findOne", async (query) => (query.oauthAccounts ? linkedUser : emailUser))
+    mock.method(User, "exists", async () => null)
+    mock.method(User, "create", async (fields) => userDoc(fields))
+    mock.method(User, "findById", (id) => queryOf(userDoc({ _id: id })))
+    mock.method(User, "findByIdAndUpdate", async (id, update) => {
+        updates.push(update)
+        return userDoc({ _id: id, ...update.$set })
+    })
+    mock.method(User.prototype, "resetLoginAttempts", async () => {})
+    mock.method(Session, "updateMany", async (filter) => updates.push({ revokedSessionsOf: filter.user }))
+    mock.method(Session.prototype, "save", async function () { return this })
+})
+
+afterEach(() => mock.restoreAll())
+
+after(() => {
+    server?.close()
+    provider.close()
+})
+
+test("redirectTo only accepts paths inside the client app", () => {
+    const check = (redirectTo) => {
+        let result
+        validate({ query: authorizeQuery })({ query: { redirectTo } }, {}, (error) => { result = error })
+        return result?.statusCode ?? 200
+    }
+    for (const path of ["/", "/home", "/videos/123?tab=comments"]) {
+        assert.equal(check(path), 200, path)
+    }
+    for (const path of ["//evil.com", "/\\evil.com", "https://evil.com", "evil.com", "javascript:alert(1)"]) {
+        assert.equal(check(path), 422, path)
+    }
+})
+
+test("a new identity with a verified email gets a new account", async () => {
+    const { status, body } = await login()
+    assert.equal(status, 200)
+    assert.equal(body.data.isNewUser, true)
+    assert.equal(User.create.mock.calls[0].arguments[0].isEmailVerified, true)
+})
+
+test("the callback needs the state cookie of the browser that started the login", async () => {
+    const { status, callbackUrl, cookie } = await login({}, { withCookie: false })
+    assert.equal(status, 400)
+
+    const otherState = await fetch(callbackUrl.replace(/state=[^&]+/, "state=other"), { redirect: "manual", headers: { cookie } })
+    assert.equal(otherState.status, 400)
+})
+
+test("a state logs in once", async () => {
+    const { status, callbackUrl, cookie } = await login()
+    assert.equal(status, 200)
+    const replay = await fetch(callbackUrl, { redirect: "manual", headers: { cookie } })
+    assert.equal(replay.status, 400)
+})
+
+test("an id token with another nonce or audience is refused", async () => {
+    assert.equal((await login({ nonce: "someone-elses-nonce" })).status, 401)
+    assert.equal((await login({ aud: "another-client" })).status, 401)
+    assert.equal(User.create.mock.callCount(), 0)
+})
+
+test("a verified email links the identity to the account that has it", async () => {
+    emailUser = userDoc({ email: "someone@example.com", isEmailVerified: true })
+    const { status, body } = await login()
+    assert.equal(status, 200)
+    assert.equal(body.data.isNewUser, false)
+    assert.deepEqual(updates[0].$push.oauthAccounts, { provider: "mock", subject: "subject-1", email: "someone@example.com" })
+    assert.equal(updates[0].$unset, undefined)
+})
+
+test("an unverified email does not take over an existing account", async () => {
+    emailUser = userDoc({ email: "someone@example.com", isEmailVerified: true })
+    const { status } = await login({ email_verified: false })
+    assert.equal(status, 409)
+    assert.equal(updates.length, 0)
+})
+
+test("linking to an account whose email nobody verified drops its password and sessions", async () => {
+    emailUser = userDoc({ email: "someone@example.com", isEmailVerified: false })
+    assert.equal((await login()).status, 200)
+    assert.deepEqual(updates[0], { revokedSessionsOf: emailUser._id })
+    assert.deepEqual(updates[1].$unset, { password: 1 })
+})
+
+test("a locked account stays locked for OAuth logins", async () => {
+    linkedUser = userDoc({ lockUntil: new Date(Date.now() + 60 * 1000) })
+    const { status } = await login()
+    assert.equal(status, 423)
+    assert.equal(User.prototype.resetLoginAttempts.mock.callCount(), 0)
+})
@@ -0,0 +1,152 @@
+import { test, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { signValue, verifySignature } from "../src/utils/tokens.js";
+import { Video } from "../src/models/video.model.js";
+import { User } from "../src/models/user.model.js";
+import { Session } from "../src/models/session.model.js";
+
+process.env.STORAGE_DRIVER = "local"
+process.env.STREAM_URL_SECRET = "stream-test-secret"
+process.env.ACCESS_TOKEN_SECRET = "access-test-secret"
+
+// the local driver keeps its files below the working directory, so the app is imported in an empty one
+const cwd = process.cwd()
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "stream-test-"))
+const uploads = path.join(root, "storage/uploads")
+let server, getStreamUrl
+
+const owner = new mongoose.Types.ObjectId()
+const viewer = new mongoose.Types.ObjectId()
+let video
+
+const request = async (requestPath, userId) => {
+    const headers = {}
+    if (userId) {
+        headers.Authorization = `Bearer ${jwt.sign({ _id: userId, sid: new mongoose.Types.ObjectId() }, process.env.ACCESS_TOKEN_SECRET)}`
+    }
+    const res = await fetch(`http://localhost:${server.address().port}${requestPath}`, { headers })
+    return { status: res.status, body: await res.text() }
+}
+
+// the signed urls getStreamUrl hands to the owner
+const streamUrls = () => new Promise((resolve, reject) => {
+    const res = { status: () => ({ json: (response) => resolve(response.data) }) }
+    getStreamUrl({ params: { videoId: video._id.toString() }, query: {}, user: { _id: owner } }, res, reject)
+})
+
+const pathOf = (url) => url.replace(/^https?:\/\/[^/]+/, "")
+
+before(async () => {
+    process.chdir(root)
+    fs.mkdirSync(path.join(uploads, "videos"), { recursive: true })
+    fs.mkdirSync(path.join(uploads, "hls/abc/720p"), { recursive: true })
+    fs.writeFileSync(path.join(uploads, "videos/clip.mp4"), "video bytes")
+    fs.writeFileSync(path.join(uploads, "hls/abc/master.m3u8"), "#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1\n720p/index.m3u8\n")
+    fs.writeFileSync(path.join(uploads, "hls/abc/720p/index.m3u8"), "#EXTM3U\n#EXTINF:4,\nsegment0.ts\n")
+    fs.writeFileSync(path.join(uploads, "hls/abc/720p/segment0.ts"), "segment bytes")
+
+    getStreamUrl = (await import("../src/controllers/video.controller.js")).getStreamUrl
+    const { default: app } = await import("../src/app.js")
+    server = app.listen(0)
+    await new Promise((resolve) => server.once("listening", resolve))
+})
+
+beforeEach(() => {
+    video = Video.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        owner,
+        videoFile: "/uploads/videos/clip.mp4",
+        hls: { masterPlaylist: "/uploads/hls/abc/master.m3u8" },
+        isPublished: false,
+        processingStatus: "ready",
+        moderation: { isBlocked: false }
+    })
+    mock.method(Video, "findById", () => ({ select: async () => video }))
+    mock.method(User, "findById", (id) => ({
+        select: async () => User.hydrate({ _id: id, username: "someone", status: "active" })
+    }))
+    mock.method(Session, "exists", async () => true)
+})
+
+afterEach(() => mock.restoreAll())
+
+after(() => {
+    server?.close()
+    process.chdir(cwd)
+    fs.rmSync(root, { recursive: true, force: true })
+})
+
+test("verifySignature only accepts the signature of the same value and secret", () => {
+    const signature = signValue("video:123", "secret")
+    assert.equal(verifySignature("video:123", signature, "secret"), true)
+    assert.equal(verifySignature("video:124", signature, "secret"), false)
+    assert.equal(verifySignature("video:123", signature, "other secret"), false)
+    assert.equal(verifySignature("video:123", signature.slice(0, 10), "secret"), false)
+    assert.equal(verifySignature("video:123", undefined, "secret"), false)
+})
+
+test("a signed url plays an unpublished video without cookies", async () => {
+    const { url } = await streamUrls()
+    const { status, body } = await request(pathOf(url))
+    assert.equal(status, 200)
+    assert.equal(body, "video bytes")
+})
+
+test("a changed or expired signed url is refused", async () => {
+    const { url } = await streamUrls()
+    const signed = new URL(url, "http://localhost")
+    const expires = Number(signed.searchParams.get("expires"))
+    const signature = signed.searchParams.get("signature")
+    const streamPath = signed.pathname
+
+    const otherSignature = signValue(`${video._id}:${expires}`, "wrong secret")
+    assert.equal((await request(`${streamPath}?expires=${expires}&signature=${otherSignature}`)).status, 403)
+    assert.equal((await request(`${streamPath}?expires=${expires + 60}&signature=${signature}`)).status, 403)
+
+    const past = Math.floor(Date.now() / 1000) - 60
+    const pastSignature = signValue(`${video._id}:${past}`, process.env.STREAM_URL_SECRET)
+    assert.equal((await request(`${streamPath}?expires=${past}&signature=${pastSignature}`)).status, 403)
+})
+
+test("a signed url stops working once moderation blocked the video", async () => {
+    const { url } = await streamUrls()
+    video.moderation.isBlocked = true
+    assert.equal((await request(pathOf(url))).status, 404)
+})
+
+test("without a signature only who may see the video can play it", async () => {
+    const streamPath = `/api/v1/videos/${video._id}/stream`
+    assert.equal((await request(streamPath)).status, 401)
+    assert.equal((await request(streamPath, viewer)).status, 404)
+    assert.equal((await request(streamPath, owner)).status, 200)
+
+    video.isPublished = true
+    assert.equal((await request(streamPath, viewer)).status, 200)
+})
+
+test("a signed HLS playlist passes its signature on to what it lists", async () => {
+    const { hlsUrl } = await streamUrls()
+    const signed = new URL(hlsUrl, "http://localhost")
+    const query = signed.search.slice(1)
+
+    const master = await request(pathOf(hlsUrl))
+    assert.equal(master.status, 200)
+    assert.match(master.body, new RegExp(`^720p/index\\.m3u8\\?${query}$`, "m"))
+
+    const variantPath = `/api/v1/videos/${video._id}/stream/720p/index.m3u8?${query}`
+    const variant = await request(variantPath)
+    assert.equal(variant.status, 200)
+    assert.match(variant.body, new RegExp(`^segment0\\.ts\\?${query}$`, "m"))
+
+    const segment = await request(`/api/v1/videos/${video._id}/stream/720p/segment0.ts?${query}`)
+    assert.equal(segment.status, 200)
+    assert.equal(segment.body, "segment bytes")
+
+    // unsigned, the segment of an unpublished video is as hidden as the video
+    assert.equal((await request(`/api/v1/videos/${video._id}/stream/720p/segment0.ts`, viewer)).status, 404)
+})
@@ -0,0 +1,152 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { generateTotpSecret, generateTotp, verifyTotp, encryptSecret, decryptSecret } from "../src/utils/totp.js";
+import { hashToken } from "../src/utils/tokens.js";
+import { User } from "../src/models/user.model.js";
+import { Session } from "../src/models/session.model.js";
+import { AuthToken } from "../src/models/authToken.model.js";
+import { verifyTwoFactorLogin } from "../src/controllers/twoFactor.controller.js";
+
+Object.assign(process.env, {
+    TWO_FACTOR_SECRET_KEY: "two-factor-test-key",
+    ACCESS_TOKEN_SECRET: "access-test-secret",
+    REFRESH_TOKEN_SECRET: "refresh-test-secret",
+    ACCESS_TOKEN_EXPIRY: "1h",
+    REFRESH_TOKEN_EXPIRY: "1d"
+})
+
+// "12345678901234567890" in base32, the secret of the RFC 6238 test vectors
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+const NOW = 1_700_000_000_000
+const STEP = Math.floor(NOW / 1000 / 30)
+
+beforeEach(() => mock.method(Date, "now", () => NOW))
+afterEach(() => mock.restoreAll())
+
+test("generateTotp matches the RFC 6238 test vectors", () => {
+    assert.equal(generateTotp(RFC_SECRET, Math.floor(59 / 30)), "287082")
+    assert.equal(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30)), "081804")
+    assert.equal(generateTotp(RFC_SECRET, Math.floor(1234567890 / 30)), "005924")
+})
+
+test("verifyTotp accepts the current step and one step of drift", () => {
+    const secret = generateTotpSecret()
+    assert.equal(verifyTotp(secret, generateTotp(secret, STEP)), STEP)
+    assert.equal(verifyTotp(secret, generateTotp(secret, STEP - 1)), STEP - 1)
+    assert.equal(verifyTotp(secret, generateTotp(secret, STEP + 1)), STEP + 1)
+    assert.equal(verifyTotp(secret, generateTotp(secret, STEP - 2)), null)
+    assert.equal(verifyTotp(secret, generateTotp(secret, STEP + 2)), null)
+})
+
+test("verifyTotp refuses steps up to afterStep", () => {
+    const secret = generateTotpSecret()
+    const code = generateTotp(secret, STEP)
+    assert.equal(verifyTotp(secret, code, { afterStep: STEP - 1 }), STEP)
+    assert.equal(verifyTotp(secret, code, { afterStep: STEP }), null)
+    assert.equal(verifyTotp(secret, generateTotp(secret, STEP - 1), { afterStep: STEP - 1 }), null)
+    assert.equal(verifyTotp(secret, generateTotp(secret, STEP + 1), { afterStep: STEP }), STEP + 1)
+})
+
+test("verifyTotp only takes six digits", () => {
+    const secret = generateTotpSecret()
+    const code = generateTotp(secret, STEP)
+    assert.equal(verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`), STEP)
+    for (const wrong of ["", "12345", "1234567", "abcdef", `${code}0`]) {
+        assert.equal(verifyTotp(secret, wrong), null, wrong)
+    }
+})
+
+test("a stored secret only decrypts with the key it was encrypted with", () => {
+    const secret = generateTotpSecret()
+    const encrypted = encryptSecret(secret)
+    assert.notEqual(encrypted, secret)
+    assert.equal(decryptSecret(encrypted), secret)
+
+    process.env.TWO_FACTOR_SECRET_KEY = "another-key"
+    try {
+        assert.equal(decryptSecret(encrypted), null)
+    } finally {
+        process.env.TWO_FACTOR_SECRET_KEY = "two-factor-test-key"
+    }
+})
+
+// the second half of a login against a user kept in memory, updateOne matches the way mongodb would
+const givenTwoFactorUser = () => {
+    const secret = generateTotpSecret()
+    const stored = {
+        _id: new mongoose.Types.ObjectId(),
+        username: "someone",
+        status: "active",
+        twoFactor: {
+            enabled: true,
+            secret: encryptSecret(secret),
+            recoveryCodes: [hashToken("abcde12345"), hashToken("fghij67890")],
+            lastUsedStep: STEP - 1
+        }
+    }
+    const load = () => User.hydrate(structuredClone(stored))
+
+    mock.method(User, "findById", () => Object.assign(Promise.resolve(load()), { select: async () => load() }))
+    mock.method(User, "updateOne", async (filter, update) => {
+        const twoFactor = stored.twoFactor
+        let matched = false
+        if (filter["twoFactor.recoveryCodes"]) {
+            matched = twoFactor.recoveryCodes.includes(filter["twoFactor.recoveryCodes"])
+            if (matched) twoFactor.recoveryCodes = twoFactor.recoveryCodes.filter((hash) => hash !== update.$pull["twoFactor.recoveryCodes"])
+        } else if (filter.$or) {
+            const step = update.$set["twoFactor.lastUsedStep"]
+            matched = twoFactor.lastUsedStep === null || twoFactor.lastUsedStep < step
+            if (matched) twoFactor.lastUsedStep = step
+        }
+        return { modifiedCount: matched ? 1 : 0 }
+    })
+    mock.method(User.prototype, "resetLoginAttempts", async () => {})
+    mock.method(User.prototype, "registerFailedLogin", async () => {})
+    mock.method(AuthToken, "check", async () => stored._id)
+    mock.method(AuthToken, "consume", async () => true)
+    mock.method(Session.prototype, "save", async function () { return this })
+    return { secret, stored }
+}
+
+// runs the login handler and returns the status it answered with, or the status of the error it passed on
+const verify = (body) => new Promise((resolve) => {
+    const res = {
+        status: () => res,
+        set: () => res,
+        cookie: () => res,
+        clearCookie: () => res,
+        json: () => resolve(200)
+    }
+    verifyTwoFactorLogin({ body: { challengeToken: "challenge", ...body }, cookies: {}, headers: {}, get: () => "" }, res, (error) => resolve(error?.statusCode))
+})
+
+test("a code from the authenticator app logs in once", async () => {
+    const { secret, stored } = givenTwoFactorUser()
+    const code = generateTotp(secret, STEP)
+    assert.equal(await verify({ code }), 200)
+    assert.equal(stored.twoFactor.lastUsedStep, STEP)
+    assert.equal(await verify({ code }), 401)
+})
+
+test("a code of a step that was already used is refused", async () => {
+    const { secret } = givenTwoFactorUser()
+    assert.equal(await verify({ code: generateTotp(secret, STEP - 1) }), 401)
+    assert.equal(User.prototype.registerFailedLogin.mock.callCount(), 1)
+})
+
+test("a recovery code logs in once, however it is typed", async () => {
+    const { stored } = givenTwoFactorUser()
+    assert.equal(await verify({ recoveryCode: "ABCDE-12345" }), 200)
+    assert.equal(stored.twoFactor.recoveryCodes.length, 1)
+    assert.equal(await verify({ recoveryCode: "abcde12345" }), 401)
+    assert.equal(await verify({ recoveryCode: "fghij 67890" }), 200)
+    assert.equal(stored.twoFactor.recoveryCodes.length, 0)
+})
+
+test("a recovery code still works when the stored secret can no longer be read", async () => {
+    const { secret, stored } = givenTwoFactorUser()
+    stored.twoFactor.secret = encryptSecret(secret).replace(/^./, (char) => (char === "A" ? "B" : "A"))
+    assert.equal(await verify({ code: generateTotp(secret, STEP) }), 409)
+    assert.equal(await verify({ recoveryCode: "abcde-12345" }), 200)
+})
@@ -0,0 +1,74 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import { detectFileType } from "../src/utils/fileType.js";
+
+// multer writes to public/temp below the working directory, so it runs in an empty one
+const cwd = process.cwd()
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "upload-test-"))
+let server
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01])
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d])
+const MP4 = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from("ftypisom0000")])
+const MOV = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x14]), Buffer.from("ftypqt  0000")])
+const HTML = Buffer.from("<html><script>alert(1)</script></html>")
+
+const writeTemp = (name, bytes) => {
+    const filePath = path.join(root, name)
+    fs.writeFileSync(filePath, bytes)
+    return filePath
+}
+
+const uploadAvatar = async (bytes, fileName, type) => {
+    const form = new FormData()
+    form.append("avatar", new Blob([bytes], { type }), fileName)
+    const res = await fetch(`http://localhost:${server.address().port}/avatar`, { method: "POST", body: form })
+    return { status: res.status, body: await res.json() }
+}
+
+before(async () => {
+    process.chdir(root)
+    const { upload } = await import("../src/middlewares/multer.middleware.js")
+    const app = express()
+    app.post("/avatar", upload.single("avatar"), (req, res) => {
+        res.json({ filename: req.file.filename, mime: req.file.detectedMimeType })
+    })
+    app.use((error, req, res, next) => res.status(error.statusCode || 500).json({ message: error.message }))
+    server = app.listen(0)
+    await new Promise((resolve) => server.once("listening", resolve))
+})
+
+after(() => {
+    server?.close()
+    process.chdir(cwd)
+    fs.rmSync(root, { recursive: true, force: true })
+})
+
+test("detectFileType tells the type by the bytes, not the name", async () => {
+    assert.deepEqual(await detectFileType(writeTemp("a.html", JPEG)), { mime: "image/jpeg", kind: "image", extension: "jpg" })
+    assert.deepEqual(await detectFileType(writeTemp("b.jpg", PNG)), { mime: "image/png", kind: "image", extension: "png" })
+    assert.deepEqual(await detectFileType(writeTemp("c.bin", MP4)), { mime: "video/mp4", kind: "video", extension: "mp4" })
+    assert.deepEqual(await detectFileType(writeTemp("d.mp4", MOV)), { mime: "video/quicktime", kind: "video", extension: "mov" })
+})
+
+test("detectFileType returns null for unknown or too short files", async () => {
+    assert.equal(await detectFileType(writeTemp("e.png", HTML)), null)
+    assert.equal(await detectFileType(writeTemp("f.jpg", Buffer.from([0xff, 0xd8]))), null)
+})
+
+test("an upload is stored with the extension of its detected type", async () => {
+    const { status, body } = await uploadAvatar(JPEG, "x.html", "image/jpeg")
+    assert.equal(status, 200)
+    assert.match(body.filename, /^\d+-[0-9a-f]{16}\.jpg$/)
+    assert.equal(body.mime, "image/jpeg")
+})
+
+test("an upload whose bytes do not match its field is refused", async () => {
+    assert.equal((await uploadAvatar(HTML, "x.jpg", "image/jpeg")).status, 415)
+    assert.equal((await uploadAvatar(MP4, "x.jpg", "image/jpeg")).status, 415)
+    assert.equal((await uploadAvatar(JPEG, "x.jpg", "text/html")).status, 415)
+})
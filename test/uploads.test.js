@@ -0,0 +1,65 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+
+// the app resolves public/ and storage/ from the working directory, so it runs in an empty one
+const cwd = process.cwd()
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-test-"))
+let server
+
+const get = (requestPath) => new Promise((resolve, reject) => {
+    http.get({ port: server.address().port, path: requestPath }, (res) => {
+        res.resume()
+        res.on("end", () => resolve(res.statusCode))
+    }).on("error", reject)
+})
+
+before(async () => {
+    process.chdir(root)
+    for (const folder of ["videos", "hls/abc", "avatars"]) {
+        fs.mkdirSync(path.join(root, "storage/uploads", folder), { recursive: true })
+    }
+    fs.mkdirSync(path.join(root, "public"))
+    fs.writeFileSync(path.join(root, "storage/uploads/videos/private.mp4"), "video")
+    fs.writeFileSync(path.join(root, "storage/uploads/hls/abc/segment0.ts"), "segment")
+    fs.writeFileSync(path.join(root, "storage/uploads/avatars/face.png"), "image")
+
+    const { default: app } = await import("../src/app.js")
+    server = app.listen(0)
+    await new Promise((resolve) => server.once("listening", resolve))
+})
+
+after(() => {
+    server?.close()
+    process.chdir(cwd)
+    fs.rmSync(root, { recursive: true, force: true })
+})
+
+test("public images of the local driver are served", async () => {
+    assert.equal(await get("/uploads/avatars/face.png"), 200)
+})
+
+test("videos and HLS files are never served statically", async () => {
+    const paths = [
+        "/uploads/videos/private.mp4",
+        "/uploads%2fvideos/private.mp4",
+        "/uploads%2Fvideos/private.mp4",
+        "//uploads/videos/private.mp4",
+        "/./uploads/videos/private.mp4",
+        "/x/../uploads/videos/private.mp4",
+        "/%2e/uploads/videos/private.mp4",
+        "/uploads/avatars/../videos/private.mp4",
+        "/uploads/avatars/..%2fvideos/private.mp4",
+        "/storage/uploads/videos/private.mp4",
+        "/../storage/uploads/videos/private.mp4",
+        "/uploads/hls/abc/segment0.ts",
+        "//uploads/hls/abc/segment0.ts",
+        "/uploads%2fhls%2fabc/segment0.ts"
+    ]
+    for (const requestPath of paths) {
+        assert.equal(await get(requestPath), 404, requestPath)
+    }
+})